@@ -0,0 +1,206 @@
+// ============================================
+// ANALYTICS - A typed stream of what visitors do, sent through adapters
+// ============================================
+// Every event is { type, time, session, data }: time is Date.now(), session is
+// random per page view, and data depends on the type (see EVENT_TYPES).
+//
+// An adapter is any object with send(event), plus optional flush() and
+// dispose(). Two ship here:
+//   createHttpAdapter({ endpoint })  - batches events and POSTs them as JSON
+//   createConsoleAdapter()           - logs them and keeps the last few in
+//                                      localStorage, for development
+//
+// Timers and storage are injectable (setTimeout, localStorage by default).
+
+// Event type -> the fields its data carries
+export const EVENT_TYPES = {
+  'face:enter': ['face', 'slug'],
+  'face:leave': ['face', 'slug', 'duration'],       // ms spent on the face
+  'content:open': ['face', 'slug'],
+  'content:close': ['face', 'slug', 'duration'],    // ms the overlay was open
+  'turn': ['axis', 'layers', 'quarterTurns', 'source'], // source: 'user', 'api', 'scramble', 'solve', 'undo' or 'redo'
+  'scramble': ['seed', 'type', 'size', 'moves'],    // moves is the count
+  'solve': ['size'],
+  'dark-mode': ['on'],
+  'intro:complete': ['duration'],                  // ms from mounting to the cube being ready
+};
+
+export class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsError';
+  }
+}
+
+// Check an event's type and data against EVENT_TYPES
+export function validateEvent(type, data) {
+  const fields = EVENT_TYPES[type];
+  if (!fields) throw new AnalyticsError(`Unknown event type "${type}"`);
+
+  const missing = fields.filter(field => data?.[field] === undefined);
+  if (missing.length > 0) throw new AnalyticsError(`"${type}" event is missing ${missing.join(', ')}`);
+}
+
+function randomSession() {
+  return globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+}
+
+export function createAnalytics({
+  adapters = [],
+  session = randomSession(),
+  now = () => Date.now(),
+} = {}) {
+  const active = [...adapters];
+
+  // One adapter failing mustn't stop the others, or the page
+  function each(method, ...args) {
+    active.forEach((adapter) => {
+      try {
+        adapter[method]?.(...args);
+      } catch (error) {
+        console.warn(`Analytics adapter ${method} failed:`, error);
+      }
+    });
+  }
+
+  const analytics = {
+    get session() {
+      return session;
+    },
+
+    get enabled() {
+      return active.length > 0;
+    },
+
+    // Nothing is built or checked while no adapter is listening
+    track(type, data = {}) {
+      if (active.length === 0) return null;
+      validateEvent(type, data);
+      const event = { type, time: now(), session, data };
+      each('send', event);
+      return event;
+    },
+
+    // Returns a function that removes the adapter again
+    use(adapter) {
+      if (typeof adapter?.send !== 'function') throw new TypeError('An analytics adapter needs a send(event) method');
+      active.push(adapter);
+      return () => {
+        const index = active.indexOf(adapter);
+        if (index !== -1) active.splice(index, 1);
+      };
+    },
+
+    // Send what adapters are holding. beacon: the page is going away.
+    flush({ beacon = false } = {}) {
+      each('flush', { beacon });
+    },
+
+    dispose() {
+      analytics.flush({ beacon: true });
+      each('dispose');
+      active.length = 0;
+    },
+  };
+
+  return analytics;
+}
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+// Batches events and POSTs them as { events: [...] }. A batch goes out when it
+// reaches batchSize, interval ms after its first event, or on flush(). Failed
+// batches go back in the queue (up to maxQueue events, oldest dropped first).
+// flush({ beacon: true }) uses navigator.sendBeacon, which survives the page
+// being closed.
+export function createHttpAdapter({
+  endpoint,
+  batchSize = 20,
+  interval = 10000,
+  maxQueue = 500,
+  fetch = globalThis.fetch,
+  sendBeacon = globalThis.navigator?.sendBeacon?.bind(globalThis.navigator),
+  setTimer = globalThis.setTimeout,
+  clearTimer = globalThis.clearTimeout,
+} = {}) {
+  if (!endpoint) throw new TypeError('The HTTP adapter needs an endpoint');
+
+  let queue = [];
+  let timer = null;
+
+  function requeue(events) {
+    queue = [...events, ...queue].slice(-maxQueue);
+  }
+
+  async function post(events) {
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events }),
+        keepalive: true,
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      console.warn('Analytics batch failed, will retry:', error.message);
+      requeue(events);
+    }
+  }
+
+  function flush({ beacon = false } = {}) {
+    clearTimer(timer);
+    timer = null;
+    if (queue.length === 0) return;
+
+    const events = queue;
+    queue = [];
+    if (beacon && sendBeacon) {
+      const body = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+      if (sendBeacon(endpoint, body)) return;
+    }
+    post(events);
+  }
+
+  return {
+    send(event) {
+      queue.push(event);
+      if (queue.length >= batchSize) {
+        flush();
+      } else if (timer === null) {
+        timer = setTimer(() => flush(), interval);
+      }
+    },
+
+    flush,
+
+    dispose() {
+      clearTimer(timer);
+      timer = null;
+    },
+  };
+}
+
+// Logs every event and keeps the last `limit` in localStorage under `key`,
+// so a session can be looked over after the fact
+export function createConsoleAdapter({
+  storage = globalThis.localStorage,
+  key = 'cube-site-analytics',
+  limit = 200,
+  log = (event) => console.debug(`[analytics] ${event.type}`, event.data),
+} = {}) {
+  return {
+    send(event) {
+      log(event);
+      try {
+        const saved = JSON.parse(storage?.getItem(key)) ?? [];
+        const events = Array.isArray(saved) ? saved : [];
+        events.push(event);
+        storage?.setItem(key, JSON.stringify(events.slice(-limit)));
+      } catch {
+        // Corrupt, unavailable or full storage - the console still has it
+      }
+    },
+  };
+}
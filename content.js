@@ -0,0 +1,433 @@
+// ============================================
+// CONTENT - Face content loaded from Markdown or JSON files
+// ============================================
+// Each face's content lives in content/, listed in content/index.json:
+//
+//   { "faces": { "why": "why.md", "what": "what.json", ... } }
+//
+// Markdown files start with front matter and use ## for sections:
+//
+//   ---
+//   title: Who?
+//   summary: The team
+//   link: GitHub | https://github.com/example
+//   link: Press kit | press/kit.pdf
+//   cta: Get in touch | mailto:hello@example.com
+//   ---
+//
+// Front matter keys: title (required), summary, cta (the button at the end) and
+// link, repeated once per entry of the links list. Both take "Label | href".
+//
+//   ## Section heading
+//   A paragraph with a [link](https://example.com), **bold** and *italic*.
+//
+//   - List item
+//   ![Alt text](images/team.jpg "Caption")
+//
+// Both formats end up as the same object, checked by validateContent():
+//
+//   {
+//     title: string,
+//     summary?: string,
+//     sections: [{ heading?: string, blocks: Block[] }],
+//     links?: [{ label, href }],
+//     cta?: { label, href }
+//   }
+//
+//   Block = { type: 'paragraph', text }
+//         | { type: 'list', items: string[] }
+//         | { type: 'image', src, alt, caption? }
+//
+// Text fields may use the inline Markdown above. Rendering builds DOM nodes
+// (never HTML strings), so content can't inject markup or scripts. Relative
+// links and image paths resolve against the content file, not the page.
+
+export const CONTENT_DIR = 'content/';
+
+export class ContentError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ContentError';
+    this.source = source;
+  }
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+// Front matter is a flat list of "key: value" lines between --- fences.
+// Repeated link lines are collected in order.
+function parseFrontMatter(text, source) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) throw new ContentError('Markdown content must start with --- front matter', source);
+
+  const fields = { link: [] };
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '' || line.trim().startsWith('#')) return;
+    const colon = line.indexOf(':');
+    if (colon === -1) throw new ContentError(`Front matter line ${i + 1} is not "key: value"`, source);
+    const key = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim();
+    if (key === 'link') {
+      fields.link.push(value);
+    } else {
+      fields[key] = value;
+    }
+  });
+
+  return { fields, body: text.slice(match[0].length) };
+}
+
+// "Label | href" (used for links and the CTA in front matter)
+function parseLinkField(value, field, source) {
+  const [label, href] = value.split('|').map(part => part.trim());
+  if (!label || !href) throw new ContentError(`${field} must be written "Label | href"`, source);
+  return { label, href };
+}
+
+const IMAGE_LINE = /^!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)$/;
+
+// Turn the Markdown body into sections of paragraph, list and image blocks
+function parseBody(body) {
+  const sections = [];
+  let section = null;
+  let paragraph = [];
+  let list = null;
+
+  const currentSection = () => {
+    if (!section) {
+      section = { blocks: [] };
+      sections.push(section);
+    }
+    return section;
+  };
+
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      currentSection().blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  const endList = () => {
+    if (list) {
+      currentSection().blocks.push({ type: 'list', items: list });
+      list = null;
+    }
+  };
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line === '') {
+      endParagraph();
+      endList();
+      continue;
+    }
+
+    const heading = line.match(/^##\s+(.+)$/);
+    if (heading) {
+      endParagraph();
+      endList();
+      section = { heading: heading[1], blocks: [] };
+      sections.push(section);
+      continue;
+    }
+
+    const image = line.match(IMAGE_LINE);
+    if (image) {
+      endParagraph();
+      endList();
+      const [, alt, src, caption] = image;
+      currentSection().blocks.push(caption ? { type: 'image', src, alt, caption } : { type: 'image', src, alt });
+      continue;
+    }
+
+    const item = line.match(/^[-*]\s+(.+)$/);
+    if (item) {
+      endParagraph();
+      if (!list) list = [];
+      list.push(item[1]);
+      continue;
+    }
+
+    endList();
+    paragraph.push(line);
+  }
+
+  endParagraph();
+  endList();
+  return sections;
+}
+
+export function parseMarkdownContent(text, source) {
+  const { fields, body } = parseFrontMatter(text, source);
+  const content = { title: fields.title, sections: parseBody(body) };
+
+  if (fields.summary) content.summary = fields.summary;
+  if (fields.link.length > 0) content.links = fields.link.map(value => parseLinkField(value, 'link', source));
+  if (fields.cta) content.cta = parseLinkField(fields.cta, 'cta', source);
+  return content;
+}
+
+export function parseContent(text, source) {
+  if (/\.json$/i.test(source)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ContentError(`Invalid JSON (${error.message})`, source);
+    }
+  }
+  if (/\.(md|markdown)$/i.test(source)) return parseMarkdownContent(text, source);
+  throw new ContentError('Content files must be .md or .json', source);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// Relative paths, http(s), mailto: and tel: only - no javascript: or data: URLs
+export function isSafeHref(href) {
+  if (typeof href !== 'string' || href.trim() === '') return false;
+  const scheme = href.trim().match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+}
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+// Check content against the schema. Returns it unchanged, or throws a
+// ContentError naming the first problem and where it is.
+export function validateContent(content, source) {
+  const fail = (path, problem) => {
+    throw new ContentError(`${path} ${problem}`, source);
+  };
+  const checkLink = (link, path) => {
+    if (!link || typeof link !== 'object') fail(path, 'must be an object with label and href');
+    if (!isText(link.label)) fail(`${path}.label`, 'must be a non-empty string');
+    if (!isSafeHref(link.href)) fail(`${path}.href`, 'must be a relative, http(s), mailto: or tel: URL');
+  };
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) fail('content', 'must be an object');
+  if (!isText(content.title)) fail('title', 'is required');
+  if (content.summary !== undefined && typeof content.summary !== 'string') fail('summary', 'must be a string');
+  if (!Array.isArray(content.sections)) fail('sections', 'must be an array');
+
+  content.sections.forEach((section, i) => {
+    const path = `sections[${i}]`;
+    if (!section || typeof section !== 'object') fail(path, 'must be an object');
+    if (section.heading !== undefined && !isText(section.heading)) fail(`${path}.heading`, 'must be a non-empty string');
+    if (!Array.isArray(section.blocks)) fail(`${path}.blocks`, 'must be an array');
+
+    section.blocks.forEach((block, j) => {
+      const blockPath = `${path}.blocks[${j}]`;
+      switch (block?.type) {
+        case 'paragraph':
+          if (!isText(block.text)) fail(`${blockPath}.text`, 'must be a non-empty string');
+          break;
+        case 'list':
+          if (!Array.isArray(block.items) || block.items.length === 0 || !block.items.every(isText)) {
+            fail(`${blockPath}.items`, 'must be a non-empty array of strings');
+          }
+          break;
+        case 'image':
+          if (!isSafeHref(block.src) || /^(mailto|tel):/i.test(block.src.trim())) fail(`${blockPath}.src`, 'must be a relative or http(s) URL');
+          if (typeof block.alt !== 'string') fail(`${blockPath}.alt`, 'is required (use "" for decorative images)');
+          if (block.caption !== undefined && typeof block.caption !== 'string') fail(`${blockPath}.caption`, 'must be a string');
+          break;
+        default:
+          fail(`${blockPath}.type`, 'must be "paragraph", "list" or "image"');
+      }
+    });
+  });
+
+  if (content.links !== undefined) {
+    if (!Array.isArray(content.links)) fail('links', 'must be an array');
+    content.links.forEach((link, i) => checkLink(link, `links[${i}]`));
+  }
+  if (content.cta !== undefined) checkLink(content.cta, 'cta');
+
+  return content;
+}
+
+// ============================================
+// LOADING
+// ============================================
+
+// Fetches content/index.json once and each face file on first use
+export function createContentLoader({ baseUrl = CONTENT_DIR, fetch = globalThis.fetch } = {}) {
+  let manifest = null;
+  const cache = new Map();
+
+  async function fetchText(path) {
+    let response;
+    try {
+      response = await fetch(baseUrl + path);
+    } catch (error) {
+      throw new ContentError(`Could not be fetched (${error.message})`, path);
+    }
+    if (!response.ok) throw new ContentError(`Could not be loaded (HTTP ${response.status})`, path);
+    return response.text();
+  }
+
+  async function loadManifest() {
+    const source = 'index.json';
+    const data = parseContent(await fetchText(source), source);
+    if (!data || !data.faces || typeof data.faces !== 'object' || Array.isArray(data.faces)) throw new ContentError('faces must map face names to files', source);
+    return data.faces;
+  }
+
+  async function load(slug) {
+    if (!manifest) {
+      manifest = loadManifest();
+      manifest.catch(() => {
+        manifest = null; // Try again next time
+      });
+    }
+
+    const file = (await manifest)[slug];
+    if (!file) throw new ContentError(`No content file is listed for "${slug}"`, 'index.json');
+    const content = validateContent(parseContent(await fetchText(file), file), file);
+    // Where the file came from, for renderContent() to resolve relative URLs against
+    return { ...content, url: new URL(baseUrl + file, globalThis.document?.baseURI).href };
+  }
+
+  return {
+    // Resolves with validated content for a face, rejects with a ContentError
+    load(slug) {
+      if (!cache.has(slug)) {
+        const promise = load(slug);
+        cache.set(slug, promise);
+        // Failed loads aren't cached so a retry fetches again
+        promise.catch(() => cache.delete(slug));
+      }
+      return cache.get(slug);
+    },
+  };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+const INLINE = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|\*([^*]+)\*/g;
+
+// Relative URLs resolve against the content file (base); in-page #anchors are left alone
+function resolveHref(href, base) {
+  if (!base || href.trim().startsWith('#')) return href;
+  return new URL(href.trim(), base).href;
+}
+
+// Append text with inline links, **bold** and *italic* as DOM nodes
+function appendInline(parent, text, doc, base) {
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    parent.append(text.slice(last, match.index));
+    const [whole, label, href, bold, italic] = match;
+
+    if (label !== undefined) {
+      if (isSafeHref(href)) {
+        parent.append(createLink(doc, label, href, base));
+      } else {
+        parent.append(label); // Unsafe links are shown as plain text
+      }
+    } else {
+      const el = doc.createElement(bold !== undefined ? 'strong' : 'em');
+      el.textContent = bold ?? italic;
+      parent.append(el);
+    }
+    last = match.index + whole.length;
+  }
+  parent.append(text.slice(last));
+}
+
+function createLink(doc, label, href, base, className) {
+  const a = doc.createElement('a');
+  a.textContent = label;
+  a.href = resolveHref(href, base);
+  if (className) a.className = className;
+  // External links open in a new tab so the cube keeps its state
+  if (/^https?:/i.test(href)) {
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+  }
+  return a;
+}
+
+function renderBlock(block, doc, base) {
+  if (block.type === 'paragraph') {
+    const p = doc.createElement('p');
+    appendInline(p, block.text, doc, base);
+    return p;
+  }
+
+  if (block.type === 'list') {
+    const ul = doc.createElement('ul');
+    block.items.forEach((item) => {
+      const li = doc.createElement('li');
+      appendInline(li, item, doc, base);
+      ul.append(li);
+    });
+    return ul;
+  }
+
+  const figure = doc.createElement('figure');
+  const img = doc.createElement('img');
+  img.src = resolveHref(block.src, base);
+  img.alt = block.alt;
+  img.loading = 'lazy';
+  figure.append(img);
+  if (block.caption) {
+    const caption = doc.createElement('figcaption');
+    appendInline(caption, block.caption, doc, base);
+    figure.append(caption);
+  }
+  return figure;
+}
+
+// Build the DOM for validated content. className goes on the wrapper
+// (e.g. 'who' for per-face styling); relative URLs resolve against baseUrl,
+// which defaults to the file the loader fetched the content from.
+export function renderContent(content, { className = '', doc = globalThis.document, baseUrl = content.url } = {}) {
+  const root = doc.createElement('article');
+  root.className = `face-content ${className}`.trim();
+
+  const title = doc.createElement('h1');
+  appendInline(title, content.title, doc, baseUrl);
+  root.append(title);
+
+  if (content.summary) {
+    const summary = doc.createElement('p');
+    summary.className = 'summary';
+    appendInline(summary, content.summary, doc, baseUrl);
+    root.append(summary);
+  }
+
+  content.sections.forEach((section) => {
+    const el = doc.createElement('section');
+    if (section.heading) {
+      const heading = doc.createElement('h2');
+      appendInline(heading, section.heading, doc, baseUrl);
+      el.append(heading);
+    }
+    section.blocks.forEach(block => el.append(renderBlock(block, doc, baseUrl)));
+    root.append(el);
+  });
+
+  if (content.links?.length) {
+    const nav = doc.createElement('ul');
+    nav.className = 'content-links';
+    content.links.forEach(({ label, href }) => {
+      const li = doc.createElement('li');
+      li.append(createLink(doc, label, href, baseUrl));
+      nav.append(li);
+    });
+    root.append(nav);
+  }
+
+  if (content.cta) {
+    root.append(createLink(doc, content.cta.label, content.cta.href, baseUrl, 'content-cta'));
+  }
+
+  return root;
+}
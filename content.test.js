@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdownContent, validateContent, createContentLoader, ContentError } from './content.js';
+
+test('front matter gives the summary, links and CTA', () => {
+  const content = validateContent(parseMarkdownContent([
+    '---',
+    'title: Who?',
+    'summary: The team',
+    'link: GitHub | https://github.com/example',
+    'link: Press kit | press/kit.pdf',
+    'cta: Get in touch | mailto:hello@example.com',
+    '---',
+    '## Team',
+    'Hello.',
+  ].join('\n'), 'who.md'), 'who.md');
+
+  assert.equal(content.summary, 'The team');
+  assert.deepEqual(content.links, [
+    { label: 'GitHub', href: 'https://github.com/example' },
+    { label: 'Press kit', href: 'press/kit.pdf' },
+  ]);
+  assert.deepEqual(content.cta, { label: 'Get in touch', href: 'mailto:hello@example.com' });
+  assert.deepEqual(content.sections, [{ heading: 'Team', blocks: [{ type: 'paragraph', text: 'Hello.' }] }]);
+});
+
+test('a link without an href is a ContentError', () => {
+  assert.throws(() => parseMarkdownContent('---\ntitle: Who?\nlink: GitHub\n---\n', 'who.md'), ContentError);
+});
+
+test('loaded content knows the URL it came from', async () => {
+  const files = { 'index.json': '{ "faces": { "who": "who.md" } }', 'who.md': '---\ntitle: Who?\n---\n' };
+  const fetch = async url => ({ ok: true, status: 200, text: async () => files[url.replace('https://example.com/content/', '')] });
+  const loader = createContentLoader({ baseUrl: 'https://example.com/content/', fetch });
+
+  const content = await loader.load('who');
+  assert.equal(content.url, 'https://example.com/content/who.md');
+});
+
+test('a manifest without a faces object is a ContentError', async () => {
+  for (const manifest of ['{ "faces": null }', '{ "faces": ["who.md"] }', '{}']) {
+    const fetch = async () => ({ ok: true, status: 200, text: async () => manifest });
+    await assert.rejects(createContentLoader({ baseUrl: 'content/', fetch }).load('who'), ContentError);
+  }
+});
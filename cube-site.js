@@ -0,0 +1,221 @@
+// ============================================
+// EMBEDDING - createCubeSite() and the <cube-site> element
+// ============================================
+// From script, any number of sites per page:
+//
+//   const site = createCubeSite(document.querySelector('#hero'), { size: 4, face: 'how' });
+//   site.on('facechange', ({ slug }) => console.log(slug));
+//   await site.turn("R U R' U'");
+//   await site.scramble({ seed: 'abc' });
+//   site.destroy(); // Stops the loop, drops listeners and frees the GPU
+//
+// Options are mountCubeSite()'s (main.js) plus controls: true to show the cube
+// controls. The site lives in the container's shadow root. It isn't saved
+// between visits unless given its own key (persist: 'hero-cube'), and starts
+// from a shared cube with cube: code (what site.share() puts in ?cube=).
+//
+// Or as markup:
+//
+//   <script type="module" src="cube-site.js"></script>
+//   <cube-site size="4" theme="default" face="how" controls>
+//     <span slot="why-label">Mission</span>
+//     <div slot="why">Shown when the Why? face is opened</div>
+//   </cube-site>
+//
+// Attributes (all optional, all live):
+//   size      - cube size, 2 to 7
+//   theme     - name of a theme pack; one registered later (element.site.themes.register(pack))
+//               is applied when it arrives
+//   face      - slug of the face to show once the intro is done, then to turn to
+//   controls  - show the cube controls, timer and scramble text
+// Slots: <slug>-label replaces a nav label, <slug> replaces a face's content.
+// Faces without slotted content load content/*.md like the page does.
+// Events (bubbling, or site.on()): facechange { face, slug, name },
+// solved { darkMode }, contentopen { face, slug }.
+// The element sizes itself from its own box - give it a height.
+//
+// Needs the same import map for three as index.html.
+
+import { mountCubeSite, FACE_SLUGS } from './main.js';
+
+const STYLES = `
+  :host {
+    display: block;
+    position: relative;
+    height: 480px;
+    overflow: hidden;
+    /* Fixed-position parts of the page layout stay inside the element */
+    contain: layout paint;
+    background: var(--default-bg, #f0f0f0);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    color: #1a1a1a;
+    transition: background 0.5s ease;
+  }
+
+  :host(.dark-mode) {
+    background: #000000;
+  }
+
+  :host(.reduced-motion) *:not(canvas) {
+    transition-duration: 0s !important;
+    transition-delay: 0s !important;
+    animation: none !important;
+  }
+
+  /* The page's display rules would otherwise win over hidden */
+  [hidden] {
+    display: none !important;
+  }
+`;
+
+const navButtons = FACE_SLUGS.map((slug, i) => `
+  <button data-face="${i}" role="tab" aria-selected="false" tabindex="${i === 0 ? 0 : -1}"><slot name="${slug}-label"></slot></button>`).join('');
+
+// Same parts as index.html, with slots for the labels
+const TEMPLATE = `
+  <link rel="stylesheet" href="${new URL('styles.css', import.meta.url).href}">
+  <style>${STYLES}</style>
+  <div id="background" aria-hidden="true">
+    <div class="background-layer"></div>
+    <div class="background-layer"></div>
+  </div>
+  <div id="canvas-container" role="img" tabindex="0" aria-label="Rubik's cube. Use the arrow or number keys to turn to a face and Enter to open it."></div>
+  <nav id="nav" role="tablist" aria-label="Cube faces">${navButtons}
+  </nav>
+  <div id="controls">
+    <select id="cube-size" aria-label="Cube size">
+      <option value="2">2x2</option>
+      <option value="3" selected>3x3</option>
+      <option value="4">4x4</option>
+      <option value="5">5x5</option>
+      <option value="6">6x6</option>
+      <option value="7">7x7</option>
+    </select>
+    <select id="face-skin" aria-label="Face content on the cube">
+      <option value="none">Plain faces</option>
+      <option value="label">Labels</option>
+      <option value="summary">Summaries</option>
+    </select>
+    <button id="undo-button" aria-label="Undo" title="Undo (Ctrl+Z)">&#8630;</button>
+    <button id="redo-button" aria-label="Redo" title="Redo (Ctrl+Shift+Z)">&#8631;</button>
+    <input id="scramble-seed" type="text" placeholder="Seed" aria-label="Scramble seed" autocomplete="off">
+    <select id="scramble-type" aria-label="Scramble type">
+      <option value="random-state">Random state</option>
+      <option value="random-move">Random moves</option>
+    </select>
+    <button id="scramble-button">Scramble</button>
+    <select id="solve-mode" aria-label="Solve mode">
+      <option value="solver">Solver</option>
+      <option value="unwind">Unwind</option>
+    </select>
+    <button id="solve-button">Solve</button>
+    <button id="share-button" title="Copy a link to this cube">Share</button>
+    <button id="timer-toggle" aria-pressed="false">Timer</button>
+    <button id="motion-toggle" aria-pressed="false" title="Turn off animations">Reduce motion</button>
+  </div>
+  <div id="timer" class="hidden">
+    <div id="timer-display">0.00</div>
+    <div id="timer-stats"></div>
+    <div class="timer-actions">
+      <button id="timer-plus-two" title="Toggle +2 on the last solve">+2</button>
+      <button id="timer-dnf" title="Toggle DNF on the last solve">DNF</button>
+      <button id="timer-new-session">New session</button>
+    </div>
+  </div>
+  <div id="scramble-text" class="hidden"></div>
+  <div id="announcer" class="visually-hidden" aria-live="polite" aria-atomic="true"></div>
+  <div id="content-overlay" class="hidden" role="dialog" aria-modal="true">
+    <button id="close-content" aria-label="Close">&times;</button>
+    <div id="content-inner"></div>
+  </div>
+`;
+
+// The controls, timer and scramble text come and go together
+function showControls(shadow, visible) {
+  ['controls', 'timer', 'scramble-text'].forEach((id) => {
+    shadow.getElementById(id).hidden = !visible;
+  });
+}
+
+export function createCubeSite(container, { controls = false, ...options } = {}) {
+  const shadow = container.shadowRoot || container.attachShadow({ mode: 'open' });
+  shadow.innerHTML = TEMPLATE;
+  showControls(shadow, controls);
+
+  const site = mountCubeSite(shadow, {
+    params: new URLSearchParams(), // The host page's query string isn't ours
+    routing: false,                // Nor is its URL
+    persist: false,                // Nor its saved cube
+    ...options,
+    host: container,
+  });
+
+  // Descriptors rather than a spread, so getters like site.quality stay live
+  return Object.defineProperties({}, {
+    ...Object.getOwnPropertyDescriptors(site),
+    ...Object.getOwnPropertyDescriptors({
+      showControls: visible => showControls(shadow, visible),
+      destroy() {
+        site.destroy();
+        shadow.replaceChildren();
+      },
+    }),
+  });
+}
+
+export class CubeSiteElement extends HTMLElement {
+  static observedAttributes = ['size', 'theme', 'face', 'controls'];
+
+  #site = null;
+
+  connectedCallback() {
+    if (this.#site) return;
+    this.#site = createCubeSite(this, {
+      slots: true,
+      controls: this.hasAttribute('controls'),
+      size: this.getAttribute('size'),
+      theme: this.getAttribute('theme'),
+      face: this.getAttribute('face'),
+    });
+  }
+
+  // Moving the element disconnects and reconnects it straight away - only a
+  // removal that sticks tears the site down
+  disconnectedCallback() {
+    queueMicrotask(() => {
+      if (this.isConnected || !this.#site) return;
+      this.#site.destroy();
+      this.#site = null;
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.#site || oldValue === value) return;
+
+    if (name === 'controls') {
+      this.#site.showControls(value !== null);
+      return;
+    }
+    // Removing size, theme or face leaves things as they are
+    if (value === null) return;
+
+    if (name === 'size') {
+      this.#site.setCubeSize(parseInt(value, 10)).catch((error) => {
+        console.warn(`<cube-site> size="${value}" ignored:`, error.message);
+      });
+    } else if (name === 'theme') {
+      this.#site.setTheme(value);
+    } else if (name === 'face' && FACE_SLUGS.includes(value)) {
+      this.#site.navigateTo(value);
+    }
+  }
+
+  // The site's controller: navigateTo, turn, scramble, on/off, themes...
+  get site() {
+    return this.#site;
+  }
+}
+
+if (!customElements.get('cube-site')) {
+  customElements.define('cube-site', CubeSiteElement);
+}
@@ -0,0 +1,236 @@
+// ============================================
+// CUBE STATE - Headless logical model of the cube
+// ============================================
+// Pure data, no three.js and no DOM: the scene syncs its meshes from it, and
+// cube-state.test.js runs it under Node (npm test).
+//
+// Every cubie keeps its grid position (0..size-1 on each axis) and its
+// orientation as an integer 3x3 rotation matrix. Turns are exact integer
+// rotations, so there is no floating point drift and no Euler angles.
+
+export const AXES = ['x', 'y', 'z'];
+
+// Face order matches the scene: +X (right), -X (left), +Y (top), -Y (bottom), +Z (front), -Z (back)
+export const FACE_NORMALS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+// How each face is read as a grid, looking at it from outside the cube
+// (the usual U/R/F/D/L/B net): which direction is "right" and which is "down"
+export const FACE_LAYOUT = [
+  { right: [0, 0, -1], down: [0, -1, 0] }, // +X
+  { right: [0, 0, 1], down: [0, -1, 0] },  // -X
+  { right: [1, 0, 0], down: [0, 0, 1] },   // +Y
+  { right: [1, 0, 0], down: [0, 0, -1] },  // -Y
+  { right: [1, 0, 0], down: [0, -1, 0] },  // +Z
+  { right: [-1, 0, 0], down: [0, -1, 0] }, // -Z
+];
+
+// Quarter turns (+90 degrees, right-hand rule) around each axis, row-major
+const QUARTER_TURNS = {
+  x: [1, 0, 0, 0, 0, -1, 0, 1, 0],
+  y: [0, 0, 1, 0, 1, 0, -1, 0, 0],
+  z: [0, -1, 0, 1, 0, 0, 0, 0, 1],
+};
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Product of two rotation matrices (row-major)
+export function multiply(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+}
+
+// A rotation matrix applied to a vector
+export function transform(m, v) {
+  return [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2],
+  ];
+}
+
+// Face index for an axis-aligned unit normal
+export function faceFromNormal(normal) {
+  return FACE_NORMALS.findIndex(n => n[0] === normal[0] && n[1] === normal[1] && n[2] === normal[2]);
+}
+
+// Rotation matrix for a number of quarter turns around an axis
+export function axisRotation(axis, quarterTurns) {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  let m = IDENTITY;
+  for (let i = 0; i < turns; i++) m = multiply(QUARTER_TURNS[axis], m);
+  return m;
+}
+
+// Create a solved cube of the given size (2 = 2x2, 3 = 3x3, ...)
+export function createCubeState(size = 3) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError(`Cube size must be a positive integer, got ${size}`);
+  }
+
+  const max = size - 1;
+  const center = max / 2;
+  const cubies = [];
+
+  // Only outer cubies exist (the core is never visible)
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      for (let z = 0; z < size; z++) {
+        const isOuter = x === 0 || x === max || y === 0 || y === max || z === 0 || z === max;
+        if (!isOuter) continue;
+
+        cubies.push({
+          id: cubies.length,
+          home: [x, y, z],
+          position: [x, y, z],
+          rotation: IDENTITY.slice(),
+        });
+      }
+    }
+  }
+
+  // Faces a cubie has stickers on, from its home position
+  function homeFaces(cubie) {
+    const faces = [];
+    for (let axis = 0; axis < 3; axis++) {
+      if (cubie.home[axis] === max) faces.push(axis * 2);
+      if (cubie.home[axis] === 0) faces.push(axis * 2 + 1);
+    }
+    return faces;
+  }
+
+  // Grid cell (col, row) of a position on a face, as seen from outside
+  function faceCell(face, position) {
+    const { right, down } = FACE_LAYOUT[face];
+    const along = (dir) => {
+      const axis = dir.findIndex(d => d !== 0);
+      return dir[axis] > 0 ? position[axis] : max - position[axis];
+    };
+    return { col: along(right), row: along(down) };
+  }
+
+  const state = {
+    size,
+    cubies,
+
+    // Cubies currently in a layer (or several layers) along an axis
+    getSlice(axis, layers) {
+      const axisIndex = AXES.indexOf(axis);
+      const set = Array.isArray(layers) ? layers : [layers];
+      return cubies.filter(cubie => set.includes(cubie.position[axisIndex]));
+    },
+
+    // Turn one or more layers by a number of quarter turns around an axis.
+    // Positive turns follow the right-hand rule around the positive axis,
+    // the same convention as rotateSlice() in the scene.
+    turn(axis, layers, quarterTurns = 1) {
+      const axisIndex = AXES.indexOf(axis);
+      if (axisIndex === -1) throw new RangeError(`Unknown axis "${axis}"`);
+
+      const set = Array.isArray(layers) ? layers : [layers];
+      for (const layer of set) {
+        if (!Number.isInteger(layer) || layer < 0 || layer > max) {
+          throw new RangeError(`Layer ${layer} is outside a ${size}x${size} cube`);
+        }
+      }
+
+      const m = axisRotation(axis, quarterTurns);
+      for (const cubie of cubies) {
+        if (!set.includes(cubie.position[axisIndex])) continue;
+
+        const centered = cubie.position.map(p => p - center);
+        cubie.position = transform(m, centered).map(p => Math.round(p + center));
+        cubie.rotation = multiply(m, cubie.rotation);
+      }
+      return state;
+    },
+
+    // Every visible sticker: the face it is on now, its cell on that face, its
+    // color (the home face index) and which way its top edge points
+    stickers() {
+      const result = [];
+      for (const cubie of cubies) {
+        for (const homeFace of homeFaces(cubie)) {
+          const face = faceFromNormal(transform(cubie.rotation, FACE_NORMALS[homeFace]));
+          const { col, row } = faceCell(face, cubie.position);
+          const up = transform(cubie.rotation, FACE_LAYOUT[homeFace].down.map(d => -d));
+          result.push({ cubie, face, col, row, color: homeFace, up });
+        }
+      }
+      return result;
+    },
+
+    // Sticker colors (as home face indices) for each face, read row by row
+    facelets() {
+      const faces = FACE_NORMALS.map(() => new Array(size * size).fill(-1));
+      for (const { face, col, row, color } of state.stickers()) {
+        faces[face][row * size + col] = color;
+      }
+      return faces;
+    },
+
+    // Solved when every face shows a single color, in any whole-cube orientation.
+    // With orientation, every sticker on a face must also point the same way -
+    // needed when center pieces are marked (they move around freely above 3x3,
+    // and a twisted center shows even when the colors match).
+    isSolved({ orientation = false } = {}) {
+      const first = new Array(FACE_NORMALS.length).fill(null);
+      return state.stickers().every((sticker) => {
+        const reference = first[sticker.face];
+        if (!reference) {
+          first[sticker.face] = sticker;
+          return true;
+        }
+        if (sticker.color !== reference.color) return false;
+        return !orientation || sticker.up.every((v, i) => v === reference.up[i]);
+      });
+    },
+
+    // True when every cubie is back in its home slot with its home orientation
+    isHome() {
+      return cubies.every(cubie =>
+        cubie.position.every((p, i) => p === cubie.home[i]) &&
+        cubie.rotation.every((v, i) => v === IDENTITY[i])
+      );
+    },
+
+    equals(other) {
+      if (other.size !== size) return false;
+      return cubies.every((cubie, i) => {
+        const theirs = other.cubies[i];
+        return cubie.position.every((p, j) => p === theirs.position[j]) &&
+          cubie.rotation.every((v, j) => v === theirs.rotation[j]);
+      });
+    },
+
+    clone() {
+      const copy = createCubeState(size);
+      copy.cubies.forEach((cubie, i) => {
+        cubie.position = cubies[i].position.slice();
+        cubie.rotation = cubies[i].rotation.slice();
+      });
+      return copy;
+    },
+
+    reset() {
+      for (const cubie of cubies) {
+        cubie.position = cubie.home.slice();
+        cubie.rotation = IDENTITY.slice();
+      }
+      return state;
+    },
+  };
+
+  return state;
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCubeState } from './cube-state.js';
+import { applyAlgorithm } from './notation.js';
+
+const FACES = ['R', 'L', 'U', 'D', 'F', 'B'];
+
+
+function scrambled(size) {
+  return applyAlgorithm(createCubeState(size), "R U' B2 L F D'");
+}
+
+test('a new cube is solved and home', () => {
+  for (let size = 2; size <= 7; size++) {
+    const cube = createCubeState(size);
+    assert.equal(cube.isSolved(), true);
+    assert.equal(cube.isSolved({ orientation: true }), true);
+    assert.equal(cube.isHome(), true);
+  }
+});
+
+test('each face turn followed by its inverse returns to solved', () => {
+  for (const size of [2, 3, 4, 5]) {
+    for (const face of FACES) {
+      const cube = applyAlgorithm(createCubeState(size), face);
+      assert.equal(cube.isSolved(), false, `${size}x${size} ${face} leaves the cube unsolved`);
+      applyAlgorithm(cube, `${face}'`);
+      assert.equal(cube.isHome(), true, `${size}x${size} ${face} ${face}' is back home`);
+    }
+  }
+});
+
+test('four quarter turns of a face return to solved', () => {
+  for (const face of FACES) {
+    const cube = applyAlgorithm(createCubeState(3), `${face} ${face} ${face} ${face}`);
+    assert.equal(cube.isHome(), true);
+  }
+});
+
+test('a scrambled cube is not solved', () => {
+  for (let size = 2; size <= 7; size++) {
+    assert.equal(scrambled(size).isSolved(), false);
+  }
+});
+
+test('a whole-cube rotation still counts as solved', () => {
+  const cube = createCubeState(3);
+  cube.turn('y', [0, 1, 2], 1);
+  assert.equal(cube.isSolved(), true);
+  assert.equal(cube.isHome(), false);
+});
+
+test('clone copies the state without sharing it', () => {
+  const cube = scrambled(4);
+  const copy = cube.clone();
+  assert.equal(copy.equals(cube), true);
+
+  copy.turn('x', 0, 1);
+  assert.equal(copy.equals(cube), false);
+  assert.equal(cube.equals(scrambled(4)), true);
+});
+
+test('reset puts every cubie back home', () => {
+  const cube = scrambled(5);
+  assert.equal(cube.reset(), cube);
+  assert.equal(cube.isHome(), true);
+  assert.equal(cube.isSolved({ orientation: true }), true);
+});
+
+test('turning a layer outside the cube throws', () => {
+  const cube = createCubeState(3);
+  assert.throws(() => cube.turn('x', 3, 1), RangeError);
+  assert.throws(() => cube.turn('w', 0, 1), RangeError);
+});
@@ -0,0 +1,94 @@
+// ============================================
+// EFFECTS - Ambient effects that faces switch on and off
+// ============================================
+// An effect is registered by name with a factory, and themes list the names a
+// face wants (effects: ['stars', 'meteors']). The factory runs the first time
+// the effect is needed and returns its hooks, all optional:
+//
+//   enter()                  - face with this effect selected: show it
+//   update(deltaTime, time)  - every frame while active (seconds, ms timestamp)
+//   exit()                   - face left: hide it and drop anything in flight
+//   dispose()                - free GPU resources for good
+//   setQuality(tier)         - render quality tier changed
+//   setReducedMotion(value)  - stop or resume moving parts
+//
+// Effects are reused: exit() must leave them ready for another enter().
+
+export function createEffectsManager({ context = {} } = {}) {
+  const factories = new Map();
+  const instances = new Map(); // name -> effect, once created
+  const active = new Set();
+  let quality = null;
+  let reducedMotion = false;
+
+  function instance(name) {
+    if (!instances.has(name)) {
+      const effect = factories.get(name)(context);
+      if (quality !== null) effect.setQuality?.(quality);
+      effect.setReducedMotion?.(reducedMotion);
+      instances.set(name, effect);
+    }
+    return instances.get(name);
+  }
+
+  const manager = {
+    get active() {
+      return [...active];
+    },
+
+    register(name, factory) {
+      if (typeof factory !== 'function') throw new TypeError(`Effect "${name}" needs a factory function`);
+      if (factories.has(name)) throw new RangeError(`Effect "${name}" is already registered`);
+      factories.set(name, factory);
+      return manager;
+    },
+
+    has(name) {
+      return factories.has(name);
+    },
+
+    // Make exactly these effects active: exit the rest, enter the new ones.
+    // Effects that stay active carry on untouched. Unknown names are skipped.
+    show(names) {
+      const wanted = new Set(names.filter((name) => {
+        if (factories.has(name)) return true;
+        console.warn(`Unknown effect "${name}" - skipping it`);
+        return false;
+      }));
+
+      for (const name of active) {
+        if (wanted.has(name)) continue;
+        active.delete(name);
+        instances.get(name).exit?.();
+      }
+      for (const name of wanted) {
+        if (active.has(name)) continue;
+        active.add(name);
+        instance(name).enter?.();
+      }
+    },
+
+    update(deltaTime, time) {
+      for (const name of active) instances.get(name).update?.(deltaTime, time);
+    },
+
+    setQuality(tier) {
+      quality = tier;
+      instances.forEach(effect => effect.setQuality?.(tier));
+    },
+
+    setReducedMotion(value) {
+      reducedMotion = value;
+      instances.forEach(effect => effect.setReducedMotion?.(value));
+    },
+
+    // Exit and dispose every effect; registrations stay so they can be recreated
+    dispose() {
+      manager.show([]);
+      instances.forEach(effect => effect.dispose?.());
+      instances.clear();
+    },
+  };
+
+  return manager;
+}
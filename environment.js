@@ -0,0 +1,111 @@
+// ============================================
+// ENVIRONMENT - Reflection lighting from a chain of sources
+// ============================================
+// Each named environment is a list of sources tried in order until one works:
+//   { type: 'hdr', url }       - equirectangular .hdr (local file or remote)
+//   { type: 'room' }           - three's procedural studio room, no network
+//   { type: 'color', color }   - flat color, always works
+// Every result is prefiltered with PMREM so materials can use it directly.
+// Pass a signal to stop caching once its owner is gone: anything that finishes
+// loading after it aborts is disposed rather than kept.
+
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+
+export function createEnvironmentManager(renderer, environments, { signal } = {}) {
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  const loaded = new Map();   // name -> texture
+  const loading = new Map();  // name -> promise
+  const rgbeLoader = new RGBELoader();
+  let room = null;
+
+  function fromScene(envScene) {
+    const texture = pmrem.fromScene(envScene, 0.04).texture;
+    envScene.traverse((obj) => {
+      obj.geometry?.dispose();
+      obj.material?.dispose();
+    });
+    return texture;
+  }
+
+  function roomTexture() {
+    if (!room) room = fromScene(new RoomEnvironment(renderer));
+    return room;
+  }
+
+  async function loadSource(source) {
+    switch (source.type) {
+      case 'hdr': {
+        const equirect = await rgbeLoader.loadAsync(source.url);
+        const texture = pmrem.fromEquirectangular(equirect).texture;
+        equirect.dispose();
+        return texture;
+      }
+      case 'room':
+        return roomTexture();
+      case 'color': {
+        const envScene = new THREE.Scene();
+        envScene.background = new THREE.Color(source.color);
+        return fromScene(envScene);
+      }
+      default:
+        throw new RangeError(`Unknown environment source "${source.type}"`);
+    }
+  }
+
+  async function loadChain(name) {
+    const sources = environments[name];
+    if (!sources) throw new RangeError(`Unknown environment "${name}"`);
+
+    for (const source of sources) {
+      try {
+        return await loadSource(source);
+      } catch (error) {
+        console.warn(`Environment "${name}": ${source.type} source failed, trying the next one`, error);
+      }
+    }
+
+    // Every configured source failed - the room needs no network
+    return roomTexture();
+  }
+
+  return {
+    // Resolves with the environment's texture once its chain has settled, or
+    // null once the signal has aborted. Rejects only for an unknown name.
+    load(name) {
+      if (signal?.aborted) return Promise.resolve(null);
+      if (!loading.has(name)) {
+        loading.set(name, loadChain(name).then((texture) => {
+          // dispose() has already run and won't see this one
+          if (signal?.aborted) {
+            texture.dispose();
+            if (texture === room) room = null;
+            return null;
+          }
+          loaded.set(name, texture);
+          return texture;
+        }));
+      }
+      return loading.get(name);
+    },
+
+    // The texture if it has loaded, otherwise null
+    peek(name) {
+      return loaded.get(name) || null;
+    },
+
+    // Something to show right now while a chain is still loading
+    placeholder() {
+      return roomTexture();
+    },
+
+    dispose() {
+      new Set([...loaded.values(), room]).forEach(texture => texture?.dispose());
+      loaded.clear();
+      loading.clear();
+      room = null;
+      pmrem.dispose();
+    },
+  };
+}
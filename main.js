@@ -2,391 +2,788 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-
-// ============================================
-// CONFIGURATION
-// ============================================
-const COLORS = [
-  0xff6b6b, // Shop - coral red
-  0x4ecdc4, // Experience - teal
-  0xffe66d, // News - yellow
-  0x95e1d3, // About - mint
-  0xdda0dd, // Contact - plum
-  0x74b9ff, // Portfolio - sky blue
-];
-
-// Rubik's cube face colors (standard scheme)
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { createCubeState, AXES, FACE_NORMALS, FACE_LAYOUT } from './cube-state.js';
+import { parseAlgorithm, moveToTurn } from './notation.js';
+import { createMoveQueue, MoveCancelledError } from './move-queue.js';
+import { solve, initSolver } from './solver.js';
+import { generateScramble } from './scramble.js';
+import { createTimer, formatTime, INSPECTION_TIME, INSPECTION_LIMIT } from './timer.js';
+import { createContentLoader, renderContent, ContentError } from './content.js';
+import { createQualityManager } from './quality.js';
+import { createEnvironmentManager } from './environment.js';
+import { createThemeRegistry } from './themes.js';
+import { createTweens, lerp } from './tween.js';
+import { createEffectsManager } from './effects.js';
+import { createStarField, createMeteorShower } from './sky-effects.js';
+import { createAnalytics, createConsoleAdapter } from './analytics.js';
+import { encodeShare, decodeShare, ShareError } from './share.js';
+
+// Face slugs for URLs, content files, slots and CSS variables. These name the
+// faces themselves, so they stay put when a theme relabels them.
 // Order: +X (right), -X (left), +Y (top), -Y (bottom), +Z (front), -Z (back)
-const RUBIKS_COLORS = [
-  0x0000ff, // Blue (right +X)
-  0x87ceeb, // Light blue (left -X)
-  0xff0000, // Red (top +Y)
-  0xff8c00, // Orange (bottom -Y)
-  0xffcc00, // Yellow-orange (front +Z)
-  0xffffff, // White (back -Z)
-];
-
-const FACE_LABELS = ['WHY?', 'WHAT?', 'HOW?', 'WHERE?', 'WHEN?', 'WHO?'];
-
-// Cube is made of 3x3x3 = 27 smaller cubes for Rubik's effect
-const SEGMENTS = 3;
-const GAP = 0.02;
-const CUBE_SIZE = 2;
-const SEGMENT_SIZE = (CUBE_SIZE - GAP * (SEGMENTS - 1)) / SEGMENTS;
-const BEVEL_SIZE = 0.06;
-
-// ============================================
-// SCENE SETUP
-// ============================================
-const container = document.getElementById('canvas-container');
-const scene = new THREE.Scene();
-// Set initial background to match CSS
-scene.background = new THREE.Color(0xf0f0f0);
-
-const camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 100);
-
-// Adjust camera distance based on screen size to keep cube centered and sized well
-function updateCameraForScreenSize() {
-  const aspect = window.innerWidth / window.innerHeight;
-  const minDimension = Math.min(window.innerWidth, window.innerHeight);
-
-  // On narrow screens (mobile portrait), move camera back
-  if (aspect < 1) {
-    camera.position.z = 6.5;
-  } else if (minDimension < 500) {
-    // Landscape mobile - screen is short, bring camera closer
-    camera.position.z = 4;
-  } else {
-    camera.position.z = 5;
+export const FACE_SLUGS = ['why', 'what', 'how', 'where', 'when', 'who'];
+
+// Mount the site into the page (root = document) or into a <cube-site>
+// element's shadow root (see cube-site.js). Everything it touches is looked up
+// under root, so several sites can share a page. Options:
+//   host        - element that gets the state classes, theme CSS variables and
+//                 the facechange / solved / contentopen events (default: <body>)
+//   params      - URLSearchParams for ?size=, ?faces=, ?stars=, ?quality=
+//                 (default: the page URL)
+//   routing     - keep #/face links and back/forward in sync (default: true)
+//   size        - starting cube size, theme - theme pack name, face - starting face slug
+//   slots       - nav labels and content come from <slot>s when they have something assigned
+//   contentUrl  - where content/*.md lives (default: next to this file)
+//   analytics   - adapters for the analytics event stream (see analytics.js)
+//   cube        - share code of a cube to start from (default: ?cube= from params)
+//   persist     - localStorage key the cube is saved under between visits, or
+//                 false to not save it (default: 'cube-site-state')
+// Returns the site's controller (see the end of this function).
+export function mountCubeSite(root = document, options = {}) {
+  const host = options.host || document.body;
+  const params = options.params || new URLSearchParams(window.location.search);
+  const routing = options.routing ?? true;
+
+  // Everything the site listens to or schedules, so destroy() can stop it all.
+  // Listeners take { signal }; timeouts, frames and idle callbacks go through
+  // later(), nextFrame() and whenIdle().
+  const lifetime = new AbortController();
+  const { signal } = lifetime;
+  const timeouts = new Set();
+  const frames = new Set();
+  const idleCallbacks = new Set();
+
+  function later(callback, delay) {
+    if (signal.aborted) return null;
+    const id = setTimeout(() => {
+      timeouts.delete(id);
+      callback();
+    }, delay);
+    timeouts.add(id);
+    return id;
   }
-}
-updateCameraForScreenSize();
-
-const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.0;
-container.appendChild(renderer.domElement);
-
-// Lighting
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-scene.add(ambientLight);
-
-const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-directionalLight.position.set(5, 5, 5);
-scene.add(directionalLight);
-
-// Environment map for metallic reflections
-const rgbeLoader = new RGBELoader();
-rgbeLoader.load(
-  'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/industrial_sunset_puresky_1k.hdr',
-  (texture) => {
-    texture.mapping = THREE.EquirectangularReflectionMapping;
-    scene.environment = texture;
-    console.log('Environment map loaded - metallic materials enabled!');
-  },
-  undefined,
-  (error) => {
-    console.warn('Environment map failed to load, using fallback:', error);
-    // Fallback: create a simple PMREMGenerator environment
-    const pmremGenerator = new THREE.PMREMGenerator(renderer);
-    const envScene = new THREE.Scene();
-    envScene.background = new THREE.Color(0x888888);
-    scene.environment = pmremGenerator.fromScene(envScene).texture;
-    pmremGenerator.dispose();
-  }
-);
-
-// ============================================
-// POST-PROCESSING - Bloom for stars only
-// ============================================
-// Use layers for selective bloom: layer 0 = normal, layer 1 = bloom
-const BLOOM_LAYER = 1;
-const bloomLayer = new THREE.Layers();
-bloomLayer.set(BLOOM_LAYER);
-
-const renderTarget = new THREE.WebGLRenderTarget(window.innerWidth, window.innerHeight, {
-  type: THREE.HalfFloatType,
-  format: THREE.RGBAFormat,
-  encoding: THREE.sRGBEncoding
-});
-
-const composer = new EffectComposer(renderer, renderTarget);
-
-// Final composite pass that combines base scene + bloom
-const finalComposer = new EffectComposer(renderer, renderTarget);
-const renderPass = new RenderPass(scene, camera);
-finalComposer.addPass(renderPass);
-
-// Bloom pass - will be applied selectively to bloom layer only
-const bloomPass = new UnrealBloomPass(
-  new THREE.Vector2(window.innerWidth, window.innerHeight),
-  1.2,   // strength
-  0.8,   // radius
-  0.2    // threshold - only very bright objects bloom
-);
-finalComposer.addPass(bloomPass);
-
-// Materials to darken non-bloom objects during bloom pass
-const darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-const materials = {};
-
-// ============================================
-// CREATE RUBIK'S CUBE
-// ============================================
-const cubeGroup = new THREE.Group();
-const smallCubes = [];
-
-// Create beveled box geometry (flat chamfer)
-function createBeveledBox(width, height, depth, bevel) {
-  const hw = width / 2, hh = height / 2, hd = depth / 2;
-  const b = bevel;
-
-  // Vertices for a box with flat beveled edges
-  const vertices = [];
-  const indices = [];
-  const normals = [];
-  const uvs = [];
-
-  // Helper to add a quad
-  let vertexIndex = 0;
-  function addQuad(v0, v1, v2, v3, normal) {
-    const startIndex = vertexIndex;
-    vertices.push(...v0, ...v1, ...v2, ...v3);
-    normals.push(...normal, ...normal, ...normal, ...normal);
-    uvs.push(0, 0, 1, 0, 1, 1, 0, 1);
-    indices.push(startIndex, startIndex + 1, startIndex + 2);
-    indices.push(startIndex, startIndex + 2, startIndex + 3);
-    vertexIndex += 4;
-  }
-
-  // Main faces (inset by bevel)
-  // Front (+Z)
-  addQuad(
-    [-hw + b, -hh + b, hd], [hw - b, -hh + b, hd], [hw - b, hh - b, hd], [-hw + b, hh - b, hd],
-    [0, 0, 1]
-  );
-  // Back (-Z)
-  addQuad(
-    [hw - b, -hh + b, -hd], [-hw + b, -hh + b, -hd], [-hw + b, hh - b, -hd], [hw - b, hh - b, -hd],
-    [0, 0, -1]
-  );
-  // Right (+X)
-  addQuad(
-    [hw, -hh + b, hd - b], [hw, -hh + b, -hd + b], [hw, hh - b, -hd + b], [hw, hh - b, hd - b],
-    [1, 0, 0]
-  );
-  // Left (-X)
-  addQuad(
-    [-hw, -hh + b, -hd + b], [-hw, -hh + b, hd - b], [-hw, hh - b, hd - b], [-hw, hh - b, -hd + b],
-    [-1, 0, 0]
-  );
-  // Top (+Y)
-  addQuad(
-    [-hw + b, hh, hd - b], [hw - b, hh, hd - b], [hw - b, hh, -hd + b], [-hw + b, hh, -hd + b],
-    [0, 1, 0]
-  );
-  // Bottom (-Y)
-  addQuad(
-    [-hw + b, -hh, -hd + b], [hw - b, -hh, -hd + b], [hw - b, -hh, hd - b], [-hw + b, -hh, hd - b],
-    [0, -1, 0]
-  );
 
-  // Bevel edges (12 edges)
-  const bevelNorm = Math.SQRT1_2;
+  function cancelLater(id) {
+    clearTimeout(id);
+    timeouts.delete(id);
+  }
 
-  // Front top edge
-  addQuad(
-    [-hw + b, hh - b, hd], [hw - b, hh - b, hd], [hw - b, hh, hd - b], [-hw + b, hh, hd - b],
-    [0, bevelNorm, bevelNorm]
-  );
-  // Front bottom edge
-  addQuad(
-    [-hw + b, -hh, hd - b], [hw - b, -hh, hd - b], [hw - b, -hh + b, hd], [-hw + b, -hh + b, hd],
-    [0, -bevelNorm, bevelNorm]
-  );
-  // Front left edge
-  addQuad(
-    [-hw, -hh + b, hd - b], [-hw, hh - b, hd - b], [-hw + b, hh - b, hd], [-hw + b, -hh + b, hd],
-    [-bevelNorm, 0, bevelNorm]
-  );
-  // Front right edge
-  addQuad(
-    [hw - b, -hh + b, hd], [hw - b, hh - b, hd], [hw, hh - b, hd - b], [hw, -hh + b, hd - b],
-    [bevelNorm, 0, bevelNorm]
-  );
+  function nextFrame(callback) {
+    if (signal.aborted) return null;
+    const id = requestAnimationFrame((time) => {
+      frames.delete(id);
+      callback(time);
+    });
+    frames.add(id);
+    return id;
+  }
 
-  // Back top edge
-  addQuad(
-    [hw - b, hh - b, -hd], [-hw + b, hh - b, -hd], [-hw + b, hh, -hd + b], [hw - b, hh, -hd + b],
-    [0, bevelNorm, -bevelNorm]
-  );
-  // Back bottom edge
-  addQuad(
-    [hw - b, -hh, -hd + b], [-hw + b, -hh, -hd + b], [-hw + b, -hh + b, -hd], [hw - b, -hh + b, -hd],
-    [0, -bevelNorm, -bevelNorm]
-  );
-  // Back left edge
-  addQuad(
-    [-hw + b, -hh + b, -hd], [-hw + b, hh - b, -hd], [-hw, hh - b, -hd + b], [-hw, -hh + b, -hd + b],
-    [-bevelNorm, 0, -bevelNorm]
-  );
-  // Back right edge
-  addQuad(
-    [hw, -hh + b, -hd + b], [hw, hh - b, -hd + b], [hw - b, hh - b, -hd], [hw - b, -hh + b, -hd],
-    [bevelNorm, 0, -bevelNorm]
-  );
+  // Run a callback once the browser has nothing better to do (a short timeout where
+  // requestIdleCallback doesn't exist)
+  function whenIdle(callback) {
+    if (typeof requestIdleCallback !== 'function') return later(callback, 200);
+    if (signal.aborted) return null;
+    const id = requestIdleCallback(() => {
+      idleCallbacks.delete(id);
+      callback();
+    });
+    idleCallbacks.add(id);
+    return id;
+  }
 
-  // Top left edge
-  addQuad(
-    [-hw, hh - b, -hd + b], [-hw, hh - b, hd - b], [-hw + b, hh, hd - b], [-hw + b, hh, -hd + b],
-    [-bevelNorm, bevelNorm, 0]
-  );
-  // Top right edge
-  addQuad(
-    [hw - b, hh, -hd + b], [hw - b, hh, hd - b], [hw, hh - b, hd - b], [hw, hh - b, -hd + b],
-    [bevelNorm, bevelNorm, 0]
-  );
-  // Bottom left edge
-  addQuad(
-    [-hw + b, -hh, -hd + b], [-hw + b, -hh, hd - b], [-hw, -hh + b, hd - b], [-hw, -hh + b, -hd + b],
-    [-bevelNorm, -bevelNorm, 0]
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+  // Each face's look (label, colors, material, background, lighting, effects)
+  // comes from the theme registry - see themes.js. Swap packs at runtime with
+  // themes.register(pack) and themes.use(name) on the returned handle.
+  const themes = createThemeRegistry();
+
+  // A pack can be named before it is registered (<cube-site theme="mine"> and then
+  // site.themes.register(mine)), so an unknown name keeps the current theme and
+  // waits for its pack instead of throwing
+  let pendingTheme = null;
+  function setTheme(name) {
+    if (!themes.list().includes(name)) {
+      console.warn(`Theme pack "${name}" isn't registered yet - keeping "${themes.current.name}" until it is`);
+      pendingTheme = name;
+      return false;
+    }
+    pendingTheme = null;
+    themes.use(name);
+    return true;
+  }
+  themes.onRegister((pack) => {
+    if (pack.name === pendingTheme) setTheme(pack.name);
+  });
+  if (options.theme) setTheme(options.theme);
+
+  // Face content comes from content/*.md or *.json (see content.js)
+  const contentLoader = createContentLoader({ baseUrl: options.contentUrl || new URL('content/', import.meta.url).href });
+
+  // ============================================
+  // ANALYTICS - What visitors do, for whichever adapters are plugged in
+  // ============================================
+  // ?analytics=console adds the console/localStorage adapter for development
+  const mountedAt = performance.now();
+  const analytics = createAnalytics({ adapters: options.analytics || [] });
+  if (params.get('analytics') === 'console') analytics.use(createConsoleAdapter());
+
+  // When the face being shown and the open overlay were entered, for durations
+  let faceEnteredAt = 0;
+  let faceVisitOpen = false; // A visit is left once, whether by hiding the page, changing face or destroy()
+  let contentOpened = null; // { face, at }
+
+  function trackFace(phase, faceIndex) {
+    if (faceIndex < 0 || faceVisitOpen === (phase === 'enter')) return;
+    const data = { face: faceIndex, slug: FACE_SLUGS[faceIndex] };
+    if (phase === 'leave') {
+      data.duration = Math.round(performance.now() - faceEnteredAt);
+      faceVisitOpen = false;
+    } else {
+      faceEnteredAt = performance.now();
+      faceVisitOpen = true;
+    }
+    analytics.track(`face:${phase}`, data);
+  }
+
+  // Cube is made of NxNxN smaller cubes for Rubik's effect (3x3x3 by default).
+  // The overall cube keeps the same size, so cubies shrink as N grows.
+  const MIN_SEGMENTS = 2;
+  const MAX_SEGMENTS = 7;
+  const GAP = 0.02;
+  const CUBE_SIZE = 2;
+  const BEVEL_SIZE = 0.06; // Bevel on a 3x3 cubie, scaled with the cubie size
+
+  function segmentSizeFor(segments) {
+    return (CUBE_SIZE - GAP * (segments - 1)) / segments;
+  }
+
+  // ============================================
+  // SAVED & SHARED CUBES - Read before the cube is built, applied after the intro
+  // ============================================
+  // A ?cube= link (see share.js) wins over the cube saved on the last visit.
+  // Both hold the cube's state, not the turns that made it, so a restored cube
+  // starts with an empty undo history.
+  const persistKey = options.persist ?? 'cube-site-state';
+  const shareCodeLimits = { minSize: MIN_SEGMENTS, maxSize: MAX_SEGMENTS };
+  let sharedCubeRejected = false;
+
+  function loadSharedCube() {
+    const code = options.cube ?? params.get('cube');
+    if (!code) return null;
+    try {
+      return decodeShare(code, shareCodeLimits);
+    } catch (error) {
+      if (!(error instanceof ShareError)) throw error;
+      console.warn('Shared cube ignored:', error.message);
+      sharedCubeRejected = true;
+      return null;
+    }
+  }
+
+  function readSavedCube() {
+    try {
+      return persistKey ? localStorage.getItem(persistKey) : null;
+    } catch {
+      return null; // Storage unavailable - start solved
+    }
+  }
+
+  function loadSavedCube() {
+    const text = readSavedCube();
+    if (!text) return null;
+    try {
+      const saved = JSON.parse(text);
+      const cube = decodeShare(saved.code, shareCodeLimits);
+      const face = Number.isInteger(saved.face) && FACE_SLUGS[saved.face] ? saved.face : -1;
+      return { ...cube, darkMode: saved.darkMode === true, face };
+    } catch (error) {
+      if (!(error instanceof ShareError || error instanceof SyntaxError || error instanceof TypeError)) throw error;
+      console.warn('Saved cube ignored:', error.message);
+      return null;
+    }
+  }
+
+  const sharedCube = loadSharedCube();
+  const startingCube = sharedCube || loadSavedCube(); // { size, state, darkMode?, face? }
+
+  // A shared or saved cube's size, then ?size=4 (or the size option), picks the starting size
+  function initialSegments() {
+    const size = parseInt(startingCube?.size ?? options.size ?? params.get('size'), 10);
+    return size >= MIN_SEGMENTS && size <= MAX_SEGMENTS ? size : 3;
+  }
+
+  let SEGMENTS = initialSegments();
+  let SEGMENT_SIZE = segmentSizeFor(SEGMENTS);
+
+  // ============================================
+  // SCENE SETUP
+  // ============================================
+  const container = root.getElementById('canvas-container');
+  // The site sizes itself from its container's box, not the window
+  const viewport = { width: container.clientWidth || 1, height: container.clientHeight || 1 };
+  const scene = new THREE.Scene();
+  // No scene background: the canvas is transparent and page backgrounds (colors
+  // and gradients alike) crossfade behind it - see applyFaceBackground()
+
+  const camera = new THREE.PerspectiveCamera(50, viewport.width / viewport.height, 0.1, 100);
+
+  // Adjust camera distance based on screen size to keep cube centered and sized well
+  function updateCameraForScreenSize() {
+    const aspect = viewport.width / viewport.height;
+    const minDimension = Math.min(viewport.width, viewport.height);
+
+    // On narrow screens (mobile portrait), move camera back
+    if (aspect < 1) {
+      camera.position.z = 6.5;
+    } else if (minDimension < 500) {
+      // Landscape mobile - screen is short, bring camera closer
+      camera.position.z = 4;
+    } else {
+      camera.position.z = 5;
+    }
+  }
+  updateCameraForScreenSize();
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+  renderer.setSize(viewport.width, viewport.height);
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = 1.0;
+  container.appendChild(renderer.domElement);
+
+  // Lighting
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+  scene.add(ambientLight);
+
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  directionalLight.position.set(5, 5, 5);
+  scene.add(directionalLight);
+
+  // Environment maps for metallic reflections. Each environment tries its
+  // sources in order and none of them need the network: the small sunset sky
+  // HDR in assets/env/, then a procedural studio room, then flat.
+  const ENVIRONMENTS = {
+    studio: [
+      { type: 'hdr', url: new URL('assets/env/sunset_sky_128.hdr', import.meta.url).href },
+      { type: 'room' },
+      { type: 'color', color: 0x888888 },
+    ],
+    room: [
+      { type: 'room' },
+      { type: 'color', color: 0x888888 },
+    ],
+    night: [
+      { type: 'color', color: 0x1a2a4a },
+    ],
+  };
+
+  // Environment a face reflects (the theme's defaults when faceIndex is -1)
+  function environmentFor(faceIndex) {
+    return themes.face(faceIndex).lighting.environment;
+  }
+
+  const environments = createEnvironmentManager(renderer, ENVIRONMENTS, { signal });
+
+  // Nothing has been seen yet, so the first environment can go straight in
+  scene.environment = environments.placeholder();
+
+  // ============================================
+  // POST-PROCESSING - Selective bloom in two passes
+  // ============================================
+  // Objects that glow also enable layer 1 (they stay on layer 0 so the camera
+  // still draws them normally):
+  //   1. bloomComposer renders the scene with everything else blacked out and
+  //      blurs it - the bloom texture
+  //   2. finalComposer renders the normal scene and a mix shader adds the bloom
+  //      texture on top, then OutputPass applies tone mapping and sRGB
+  const BLOOM_LAYER = 1;
+  const bloomLayer = new THREE.Layers();
+  bloomLayer.set(BLOOM_LAYER);
+
+  const renderPass = new RenderPass(scene, camera);
+
+  // Pass 1 - bloom layer only, kept off screen
+  const bloomComposer = new EffectComposer(renderer);
+  bloomComposer.renderToScreen = false;
+  bloomComposer.addPass(renderPass);
+
+  const bloomPass = new UnrealBloomPass(
+    new THREE.Vector2(viewport.width, viewport.height),
+    0,     // strength - off until a face's theme turns it on
+    0.8,   // radius
+    0.2    // threshold - only very bright objects bloom
   );
-  // Bottom right edge
-  addQuad(
-    [hw, -hh + b, -hd + b], [hw, -hh + b, hd - b], [hw - b, -hh, hd - b], [hw - b, -hh, -hd + b],
-    [bevelNorm, -bevelNorm, 0]
+  bloomComposer.addPass(bloomPass);
+
+  // Pass 2 - base scene plus bloom
+  const mixPass = new ShaderPass(
+    new THREE.ShaderMaterial({
+      uniforms: {
+        baseTexture: { value: null },
+        bloomTexture: { value: bloomComposer.renderTarget2.texture },
+        bloomAmount: { value: 1 },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D baseTexture;
+        uniform sampler2D bloomTexture;
+        uniform float bloomAmount;
+        varying vec2 vUv;
+        void main() {
+          vec4 base = texture2D(baseTexture, vUv);
+          vec4 bloom = texture2D(bloomTexture, vUv) * bloomAmount;
+          // Bloom adds light, and makes the transparent canvas opaque where it glows
+          gl_FragColor = vec4(base.rgb + bloom.rgb, max(base.a, max(bloom.r, max(bloom.g, bloom.b))));
+        }
+      `,
+    }),
+    'baseTexture'
   );
+  mixPass.needsSwap = true;
+
+  const finalComposer = new EffectComposer(renderer);
+  finalComposer.addPass(renderPass);
+  finalComposer.addPass(mixPass);
+  finalComposer.addPass(new OutputPass());
+
+  // Materials to darken non-bloom objects during the bloom pass
+  const darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+  const darkLineMaterial = new THREE.LineBasicMaterial({ color: 0x000000 });
+  const materials = {};
+
+  // ============================================
+  // CREATE RUBIK'S CUBE
+  // ============================================
+  const cubeGroup = new THREE.Group();
+  const smallCubes = [];
+
+  // Create beveled box geometry (flat chamfer)
+  function createBeveledBox(width, height, depth, bevel) {
+    const hw = width / 2, hh = height / 2, hd = depth / 2;
+    const b = bevel;
+
+    // Vertices for a box with flat beveled edges
+    const vertices = [];
+    const indices = [];
+    const normals = [];
+    const uvs = [];
+
+    // Helper to add a quad
+    let vertexIndex = 0;
+    function addQuad(v0, v1, v2, v3, normal) {
+      const startIndex = vertexIndex;
+      vertices.push(...v0, ...v1, ...v2, ...v3);
+      normals.push(...normal, ...normal, ...normal, ...normal);
+      uvs.push(0, 0, 1, 0, 1, 1, 0, 1);
+      indices.push(startIndex, startIndex + 1, startIndex + 2);
+      indices.push(startIndex, startIndex + 2, startIndex + 3);
+      vertexIndex += 4;
+    }
 
-  // 8 corner bevels (triangular)
-  const cornerNorm = 1 / Math.sqrt(3);
-  function addTriangle(v0, v1, v2, normal) {
-    const startIndex = vertexIndex;
-    vertices.push(...v0, ...v1, ...v2);
-    normals.push(...normal, ...normal, ...normal);
-    uvs.push(0, 0, 1, 0, 0.5, 1);
-    indices.push(startIndex, startIndex + 1, startIndex + 2);
-    vertexIndex += 3;
-  }
-
-  // Front top right
-  addTriangle([hw - b, hh - b, hd], [hw, hh - b, hd - b], [hw - b, hh, hd - b], [cornerNorm, cornerNorm, cornerNorm]);
-  // Front top left
-  addTriangle([-hw + b, hh, hd - b], [-hw, hh - b, hd - b], [-hw + b, hh - b, hd], [-cornerNorm, cornerNorm, cornerNorm]);
-  // Front bottom right
-  addTriangle([hw - b, -hh, hd - b], [hw, -hh + b, hd - b], [hw - b, -hh + b, hd], [cornerNorm, -cornerNorm, cornerNorm]);
-  // Front bottom left
-  addTriangle([-hw + b, -hh + b, hd], [-hw, -hh + b, hd - b], [-hw + b, -hh, hd - b], [-cornerNorm, -cornerNorm, cornerNorm]);
-  // Back top right
-  addTriangle([hw - b, hh, -hd + b], [hw, hh - b, -hd + b], [hw - b, hh - b, -hd], [cornerNorm, cornerNorm, -cornerNorm]);
-  // Back top left
-  addTriangle([-hw + b, hh - b, -hd], [-hw, hh - b, -hd + b], [-hw + b, hh, -hd + b], [-cornerNorm, cornerNorm, -cornerNorm]);
-  // Back bottom right
-  addTriangle([hw - b, -hh + b, -hd], [hw, -hh + b, -hd + b], [hw - b, -hh, -hd + b], [cornerNorm, -cornerNorm, -cornerNorm]);
-  // Back bottom left
-  addTriangle([-hw + b, -hh, -hd + b], [-hw, -hh + b, -hd + b], [-hw + b, -hh + b, -hd], [-cornerNorm, -cornerNorm, -cornerNorm]);
-
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-  geometry.setIndex(indices);
-
-  return geometry;
-}
+    // Main faces (inset by bevel)
+    // Front (+Z)
+    addQuad(
+      [-hw + b, -hh + b, hd], [hw - b, -hh + b, hd], [hw - b, hh - b, hd], [-hw + b, hh - b, hd],
+      [0, 0, 1]
+    );
+    // Back (-Z)
+    addQuad(
+      [hw - b, -hh + b, -hd], [-hw + b, -hh + b, -hd], [-hw + b, hh - b, -hd], [hw - b, hh - b, -hd],
+      [0, 0, -1]
+    );
+    // Right (+X)
+    addQuad(
+      [hw, -hh + b, hd - b], [hw, -hh + b, -hd + b], [hw, hh - b, -hd + b], [hw, hh - b, hd - b],
+      [1, 0, 0]
+    );
+    // Left (-X)
+    addQuad(
+      [-hw, -hh + b, -hd + b], [-hw, -hh + b, hd - b], [-hw, hh - b, hd - b], [-hw, hh - b, -hd + b],
+      [-1, 0, 0]
+    );
+    // Top (+Y)
+    addQuad(
+      [-hw + b, hh, hd - b], [hw - b, hh, hd - b], [hw - b, hh, -hd + b], [-hw + b, hh, -hd + b],
+      [0, 1, 0]
+    );
+    // Bottom (-Y)
+    addQuad(
+      [-hw + b, -hh, -hd + b], [hw - b, -hh, -hd + b], [hw - b, -hh, hd - b], [-hw + b, -hh, hd - b],
+      [0, -1, 0]
+    );
 
-// Create texture with text for each face
-function createFaceTexture(label, color, transparent = false) {
-  const canvas = document.createElement('canvas');
-  canvas.width = 256;
-  canvas.height = 256;
-  const ctx = canvas.getContext('2d');
-
-  if (transparent) {
-    // Transparent with subtle border
-    ctx.clearRect(0, 0, 256, 256);
-    ctx.strokeStyle = `#${color.toString(16).padStart(6, '0')}`;
-    ctx.lineWidth = 8;
-    ctx.strokeRect(10, 10, 236, 236);
-  } else {
-    // Solid color background
-    ctx.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
-    ctx.fillRect(0, 0, 256, 256);
-  }
-
-  // Text (only on center segments)
-  ctx.fillStyle = transparent ? `#${color.toString(16).padStart(6, '0')}` : 'rgba(255,255,255,0.9)';
-  ctx.font = 'bold 36px -apple-system, sans-serif';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(label, 128, 128);
-
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
-  return texture;
-}
+    // Bevel edges (12 edges)
+    const bevelNorm = Math.SQRT1_2;
 
-// Create materials for each face
-// Order: +X, -X, +Y, -Y, +Z, -Z
-function createMaterials(isCenter = false) {
-  return COLORS.map((color, i) => {
-    if (isCenter) {
-      return new THREE.MeshStandardMaterial({
-        map: createFaceTexture(FACE_LABELS[i], color),
-        roughness: 0.3,
-        metalness: 0.1,
+    // Front top edge
+    addQuad(
+      [-hw + b, hh - b, hd], [hw - b, hh - b, hd], [hw - b, hh, hd - b], [-hw + b, hh, hd - b],
+      [0, bevelNorm, bevelNorm]
+    );
+    // Front bottom edge
+    addQuad(
+      [-hw + b, -hh, hd - b], [hw - b, -hh, hd - b], [hw - b, -hh + b, hd], [-hw + b, -hh + b, hd],
+      [0, -bevelNorm, bevelNorm]
+    );
+    // Front left edge
+    addQuad(
+      [-hw, -hh + b, hd - b], [-hw, hh - b, hd - b], [-hw + b, hh - b, hd], [-hw + b, -hh + b, hd],
+      [-bevelNorm, 0, bevelNorm]
+    );
+    // Front right edge
+    addQuad(
+      [hw - b, -hh + b, hd], [hw - b, hh - b, hd], [hw, hh - b, hd - b], [hw, -hh + b, hd - b],
+      [bevelNorm, 0, bevelNorm]
+    );
+
+    // Back top edge
+    addQuad(
+      [hw - b, hh - b, -hd], [-hw + b, hh - b, -hd], [-hw + b, hh, -hd + b], [hw - b, hh, -hd + b],
+      [0, bevelNorm, -bevelNorm]
+    );
+    // Back bottom edge
+    addQuad(
+      [hw - b, -hh, -hd + b], [-hw + b, -hh, -hd + b], [-hw + b, -hh + b, -hd], [hw - b, -hh + b, -hd],
+      [0, -bevelNorm, -bevelNorm]
+    );
+    // Back left edge
+    addQuad(
+      [-hw + b, -hh + b, -hd], [-hw + b, hh - b, -hd], [-hw, hh - b, -hd + b], [-hw, -hh + b, -hd + b],
+      [-bevelNorm, 0, -bevelNorm]
+    );
+    // Back right edge
+    addQuad(
+      [hw, -hh + b, -hd + b], [hw, hh - b, -hd + b], [hw - b, hh - b, -hd], [hw - b, -hh + b, -hd],
+      [bevelNorm, 0, -bevelNorm]
+    );
+
+    // Top left edge
+    addQuad(
+      [-hw, hh - b, -hd + b], [-hw, hh - b, hd - b], [-hw + b, hh, hd - b], [-hw + b, hh, -hd + b],
+      [-bevelNorm, bevelNorm, 0]
+    );
+    // Top right edge
+    addQuad(
+      [hw - b, hh, -hd + b], [hw - b, hh, hd - b], [hw, hh - b, hd - b], [hw, hh - b, -hd + b],
+      [bevelNorm, bevelNorm, 0]
+    );
+    // Bottom left edge
+    addQuad(
+      [-hw + b, -hh, -hd + b], [-hw + b, -hh, hd - b], [-hw, -hh + b, hd - b], [-hw, -hh + b, -hd + b],
+      [-bevelNorm, -bevelNorm, 0]
+    );
+    // Bottom right edge
+    addQuad(
+      [hw, -hh + b, -hd + b], [hw, -hh + b, hd - b], [hw - b, -hh, hd - b], [hw - b, -hh, -hd + b],
+      [bevelNorm, -bevelNorm, 0]
+    );
+
+    // 8 corner bevels (triangular)
+    const cornerNorm = 1 / Math.sqrt(3);
+    function addTriangle(v0, v1, v2, normal) {
+      const startIndex = vertexIndex;
+      vertices.push(...v0, ...v1, ...v2);
+      normals.push(...normal, ...normal, ...normal);
+      uvs.push(0, 0, 1, 0, 0.5, 1);
+      indices.push(startIndex, startIndex + 1, startIndex + 2);
+      vertexIndex += 3;
+    }
+
+    // Front top right
+    addTriangle([hw - b, hh - b, hd], [hw, hh - b, hd - b], [hw - b, hh, hd - b], [cornerNorm, cornerNorm, cornerNorm]);
+    // Front top left
+    addTriangle([-hw + b, hh, hd - b], [-hw, hh - b, hd - b], [-hw + b, hh - b, hd], [-cornerNorm, cornerNorm, cornerNorm]);
+    // Front bottom right
+    addTriangle([hw - b, -hh, hd - b], [hw, -hh + b, hd - b], [hw - b, -hh + b, hd], [cornerNorm, -cornerNorm, cornerNorm]);
+    // Front bottom left
+    addTriangle([-hw + b, -hh + b, hd], [-hw, -hh + b, hd - b], [-hw + b, -hh, hd - b], [-cornerNorm, -cornerNorm, cornerNorm]);
+    // Back top right
+    addTriangle([hw - b, hh, -hd + b], [hw, hh - b, -hd + b], [hw - b, hh - b, -hd], [cornerNorm, cornerNorm, -cornerNorm]);
+    // Back top left
+    addTriangle([-hw + b, hh - b, -hd], [-hw, hh - b, -hd + b], [-hw + b, hh, -hd + b], [-cornerNorm, cornerNorm, -cornerNorm]);
+    // Back bottom right
+    addTriangle([hw - b, -hh + b, -hd], [hw, -hh + b, -hd + b], [hw - b, -hh, -hd + b], [cornerNorm, -cornerNorm, -cornerNorm]);
+    // Back bottom left
+    addTriangle([-hw + b, -hh, -hd + b], [-hw, -hh + b, -hd + b], [-hw + b, -hh + b, -hd], [-cornerNorm, -cornerNorm, -cornerNorm]);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+
+    return geometry;
+  }
+
+  // Draw one face's art across the whole face, to be split over its stickers.
+  // mode 'label' is the big face label; 'summary' adds an icon and a short summary.
+  function createFaceTexture(faceIndex, mode, size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    drawFaceTexture(canvas, faceIndex, mode);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    return texture;
+  }
+
+  function drawFaceTexture(canvas, faceIndex, mode) {
+    const ctx = canvas.getContext('2d');
+    const size = canvas.width;
+    const theme = themes.face(faceIndex);
+    const color = `#${theme.stickerColor.toString(16).padStart(6, '0')}`;
+
+    // Faint tint of the face color so the section reads even through glass presets
+    ctx.clearRect(0, 0, size, size);
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, size, size);
+    ctx.globalAlpha = 1;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(255,255,255,0.95)';
+    ctx.strokeStyle = 'rgba(0,0,0,0.5)';
+    ctx.lineJoin = 'round';
+
+    function text(value, y, fontSize, weight = 'bold') {
+      ctx.font = `${weight} ${fontSize}px -apple-system, sans-serif`;
+      ctx.lineWidth = fontSize * 0.08;
+      ctx.strokeText(value, size / 2, y);
+      ctx.fillText(value, size / 2, y);
+    }
+
+    const summary = faceSummaries[faceIndex];
+    if (mode !== 'summary') {
+      text(theme.label, size / 2, size * 0.18);
+      return;
+    }
+
+    text(theme.icon || '', size * 0.26, size * 0.2, 'normal');
+    text(theme.label, size * 0.48, size * 0.12);
+
+    // Wrap the summary into at most three lines under the label
+    const fontSize = size * 0.06;
+    ctx.font = `${fontSize}px -apple-system, sans-serif`;
+    const lines = [];
+    for (const word of summary.split(/\s+/).filter(Boolean)) {
+      const line = lines.length ? `${lines[lines.length - 1]} ${word}` : word;
+      if (lines.length && ctx.measureText(line).width <= size * 0.8) {
+        lines[lines.length - 1] = line;
+      } else {
+        lines.push(word);
+      }
+    }
+    lines.slice(0, 3).forEach((line, i) => text(line, size * 0.66 + i * fontSize * 1.3, fontSize, 'normal'));
+  }
+
+  // Colored dot geometry (extruded cylinder), rebuilt with the cube for each size
+  let dotHeight = 0;
+  let dotGeometry = null;
+  let dotEdges = null;
+
+  // Helper to create a dot with wireframe outline
+  function createDot(color, faceIndex) {
+    const group = new THREE.Group();
+    group.userData.isDot = true;
+    group.userData.colorHex = color;
+    group.userData.faceIndex = faceIndex; // Which face this dot belongs to originally
+
+    // Extruded dot (cylinder rotated to face outward)
+    const dot = new THREE.Mesh(dotGeometry, new THREE.MeshBasicMaterial({ color }));
+    dot.rotation.x = Math.PI / 2; // Point cylinder outward
+    dot.position.z = dotHeight / 2;
+
+    // Wireframe outline for the dot
+    const outline = new THREE.LineSegments(dotEdges, new THREE.LineBasicMaterial({ color: 0xffffff }));
+    outline.rotation.x = Math.PI / 2;
+    outline.position.z = dotHeight / 2;
+
+    group.add(dot);
+    group.add(outline);
+    return group;
+  }
+
+  // Logical cube state - the source of truth for positions, orientations and solved detection
+  let cubeState = null;
+
+  // Convert a grid position (0..SEGMENTS-1 per axis) to a position in cubeGroup
+  function gridToLocal(position) {
+    const offset = (SEGMENTS - 1) / 2;
+    return new THREE.Vector3(
+      (position[0] - offset) * (SEGMENT_SIZE + GAP),
+      (position[1] - offset) * (SEGMENT_SIZE + GAP),
+      (position[2] - offset) * (SEGMENT_SIZE + GAP)
+    );
+  }
+
+  // Copy a cubie's logical position and orientation onto its mesh
+  const cubieMatrix = new THREE.Matrix4();
+  function syncCubeMesh(cube) {
+    const { position, rotation: m } = cube.userData.cubie;
+    cube.position.copy(gridToLocal(position));
+    cubieMatrix.set(
+      m[0], m[1], m[2], 0,
+      m[3], m[4], m[5], 0,
+      m[6], m[7], m[8], 0,
+      0, 0, 0, 1
+    );
+    cube.quaternion.setFromRotationMatrix(cubieMatrix);
+  }
+
+  // ============================================
+  // FACE SKINS - Face labels or summaries drawn across each face's stickers
+  // ============================================
+  // Each face gets one canvas texture; every sticker on that face shows its own
+  // part of it. Stickers are children of their cubie, so turns carry them along
+  // and a scrambled cube shows scrambled content.
+  const FACE_SKINS = ['none', 'label', 'summary'];
+  const STICKER_LIFT = 0.002; // Off the cubie surface to prevent z-fighting
+
+  // ?faces=label or ?faces=summary turns skins on at load
+  function initialFaceSkin() {
+    const skin = params.get('faces');
+    return FACE_SKINS.includes(skin) ? skin : 'none';
+  }
+
+  let faceSkin = initialFaceSkin();
+  let faceTextures = [];
+  let faceStickerMaterials = [];
+  const faceSummaries = FACE_SLUGS.map(() => '');
+
+  // Enough pixels per sticker to stay sharp on high-DPR screens
+  function faceTextureSize() {
+    const wanted = 256 * SEGMENTS * Math.min(window.devicePixelRatio || 1, 3);
+    return Math.min(THREE.MathUtils.ceilPowerOfTwo(wanted), renderer.capabilities.maxTextureSize, 4096);
+  }
+
+  function removeFaceStickers() {
+    smallCubes.forEach((cube) => {
+      cube.children.filter(child => child.userData.isFaceSticker).forEach((sticker) => {
+        cube.remove(sticker);
+        sticker.geometry.dispose();
       });
+    });
+    faceStickerMaterials.forEach(material => material.dispose());
+    faceTextures.forEach(texture => texture.dispose());
+    faceStickerMaterials = [];
+    faceTextures = [];
+  }
+
+  // One plane per sticker, with UVs picking out that sticker's cell of the face art
+  function addFaceStickers() {
+    const size = faceTextureSize();
+    faceTextures = FACE_SLUGS.map((slug, i) => createFaceTexture(i, faceSkin, size));
+    faceStickerMaterials = faceTextures.map(map => new THREE.MeshStandardMaterial({
+      map,
+      transparent: true,
+      roughness: 0.4,
+      metalness: 0.0,
+    }));
+
+    const { cubeSize, bevel } = cubieDimensions(SEGMENTS);
+    const stickerSize = cubeSize - bevel * 2; // The flat part of the cubie face
+    const pitch = SEGMENT_SIZE + GAP;
+    const basis = new THREE.Matrix4();
+
+    // Lay stickers out from a solved cube: in a cubie's own frame its stickers
+    // always sit where they were at home, however scrambled the cube is now
+    for (const { cubie, face, col, row } of createCubeState(SEGMENTS).stickers()) {
+      const geometry = new THREE.PlaneGeometry(stickerSize, stickerSize);
+
+      // Sticker centre and extent in face UV space (0..1 across the whole cube face)
+      const span = stickerSize / CUBE_SIZE;
+      const u0 = 0.5 + (col - (SEGMENTS - 1) / 2) * pitch / CUBE_SIZE - span / 2;
+      const v0 = 0.5 - (row - (SEGMENTS - 1) / 2) * pitch / CUBE_SIZE - span / 2;
+      const uv = geometry.attributes.uv;
+      for (let i = 0; i < uv.count; i++) {
+        uv.setXY(i, u0 + uv.getX(i) * span, v0 + uv.getY(i) * span);
+      }
+
+      const sticker = new THREE.Mesh(geometry, faceStickerMaterials[face]);
+      sticker.userData.isFaceSticker = true;
+
+      // Plane +X/+Y/+Z onto the face's right/up/outward directions
+      const { right, down } = FACE_LAYOUT[face];
+      const normal = new THREE.Vector3(...FACE_NORMALS[face]);
+      basis.makeBasis(new THREE.Vector3(...right), new THREE.Vector3(...down).negate(), normal);
+      sticker.quaternion.setFromRotationMatrix(basis);
+      sticker.position.copy(normal).multiplyScalar(cubeSize / 2 + STICKER_LIFT);
+
+      smallCubes[cubie.id].add(sticker);
     }
-    return new THREE.MeshStandardMaterial({
-      color: color,
-      roughness: 0.3,
-      metalness: 0.1,
+  }
+
+  // Summaries come from the content files; faces redraw as each one arrives
+  let faceSummariesRequested = false;
+  function loadFaceSummaries() {
+    if (faceSummariesRequested) return;
+    faceSummariesRequested = true;
+
+    FACE_SLUGS.forEach((slug, i) => {
+      contentLoader.load(slug).then((content) => {
+        faceSummaries[i] = content.summary || '';
+        if (faceSkin === 'summary' && faceTextures[i]) {
+          drawFaceTexture(faceTextures[i].image, i, faceSkin);
+          faceTextures[i].needsUpdate = true;
+        }
+      }).catch(() => {
+        // The label alone still works - the overlay reports content errors
+      });
     });
-  });
-}
+  }
 
-// Create a colored dot geometry (extruded cylinder)
-const dotRadius = SEGMENT_SIZE * 0.018;
-const dotHeight = SEGMENT_SIZE * 0.015;
-const dotGeometry = new THREE.CylinderGeometry(dotRadius, dotRadius, dotHeight, 16);
-
-// Helper to create a dot with wireframe outline
-function createDot(color, faceIndex) {
-  const group = new THREE.Group();
-  group.userData.isDot = true;
-  group.userData.colorHex = color;
-  group.userData.faceIndex = faceIndex; // Which face this dot belongs to originally
-
-  // Extruded dot (cylinder rotated to face outward)
-  const dot = new THREE.Mesh(dotGeometry, new THREE.MeshBasicMaterial({ color }));
-  dot.rotation.x = Math.PI / 2; // Point cylinder outward
-  dot.position.z = dotHeight / 2;
-
-  // Wireframe outline for the dot
-  const edges = new THREE.EdgesGeometry(dotGeometry, 15);
-  const outline = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0xffffff }));
-  outline.rotation.x = Math.PI / 2;
-  outline.position.z = dotHeight / 2;
-
-  group.add(dot);
-  group.add(outline);
-  return group;
-}
+  // Switch skins: 'none', 'label' or 'summary'
+  function setFaceSkin(skin) {
+    if (!FACE_SKINS.includes(skin)) throw new RangeError(`Unknown face skin "${skin}"`);
+    faceSkin = skin;
+    removeFaceStickers();
+    if (skin === 'none') return;
+    if (skin === 'summary') loadFaceSummaries();
+    addFaceStickers();
+  }
 
-// Build the 3x3x3 cube structure
-for (let x = 0; x < SEGMENTS; x++) {
-  for (let y = 0; y < SEGMENTS; y++) {
-    for (let z = 0; z < SEGMENTS; z++) {
-      // Only create outer cubes (skip internal)
-      const isEdge = x === 0 || x === SEGMENTS - 1 ||
-                     y === 0 || y === SEGMENTS - 1 ||
-                     z === 0 || z === SEGMENTS - 1;
-      if (!isEdge) continue;
+  const faceSkinSelect = root.getElementById('face-skin');
+  faceSkinSelect.value = faceSkin;
+  faceSkinSelect.addEventListener('change', () => setFaceSkin(faceSkinSelect.value), { signal });
 
-      const cubeSize = SEGMENT_SIZE * 0.98;
-      const geometry = createBeveledBox(cubeSize, cubeSize, cubeSize, BEVEL_SIZE);
+  // Cubie size and bevel for an NxN cube
+  function cubieDimensions(segments) {
+    const cubeSize = segmentSizeFor(segments) * 0.98;
+    return { cubeSize, bevel: BEVEL_SIZE * 3 / segments };
+  }
+
+  // Build the meshes for an NxN cube: one per outer cubie of a fresh logical state
+  function buildCube(segments) {
+    SEGMENTS = segments;
+    SEGMENT_SIZE = segmentSizeFor(segments);
+    cubeState = createCubeState(segments);
+
+    const { cubeSize, bevel } = cubieDimensions(segments);
+
+    // Every cubie shares one geometry and one set of edges
+    const geometry = createBeveledBox(cubeSize, cubeSize, cubeSize, bevel);
+    const edges = new THREE.EdgesGeometry(geometry, 15);
+
+    const dotRadius = SEGMENT_SIZE * 0.018;
+    dotHeight = SEGMENT_SIZE * 0.015;
+    dotGeometry = new THREE.CylinderGeometry(dotRadius, dotRadius, dotHeight, 16);
+    dotEdges = new THREE.EdgesGeometry(dotGeometry, 15);
+
+    for (const cubie of cubeState.cubies) {
+      const [x, y, z] = cubie.home;
 
       // Single transparent material with colored edges
       const material = new THREE.MeshPhysicalMaterial({
@@ -402,7 +799,6 @@ for (let x = 0; x < SEGMENTS; x++) {
       const cube = new THREE.Mesh(geometry, material);
 
       // Black edge lines with white tracing effect
-      const edges = new THREE.EdgesGeometry(geometry, 15);
       const lineMaterial = new THREE.LineBasicMaterial({
         color: 0x000000, // Black wireframe
       });
@@ -432,974 +828,2029 @@ for (let x = 0; x < SEGMENTS; x++) {
       const dotOffset = halfSize * 0.55; // Position in top-right area of face
       const dotZ = 0.001; // Slight offset to prevent z-fighting
 
-      // +X face (right) - blue (face 0)
+      // +X face (right, face 0)
       if (x === SEGMENTS - 1) {
-        const dot = createDot(RUBIKS_COLORS[0], 0);
+        const dot = createDot(themes.face(0).stickerColor, 0);
         dot.position.set(halfSize + dotZ, dotOffset, -dotOffset);
         dot.rotation.y = Math.PI / 2;
         cube.add(dot);
       }
-      // -X face (left) - light blue (face 1)
+      // -X face (left, face 1)
       if (x === 0) {
-        const dot = createDot(RUBIKS_COLORS[1], 1);
+        const dot = createDot(themes.face(1).stickerColor, 1);
         dot.position.set(-halfSize - dotZ, dotOffset, dotOffset);
         dot.rotation.y = -Math.PI / 2;
         cube.add(dot);
       }
-      // +Y face (top) - red (face 2)
+      // +Y face (top, face 2)
       if (y === SEGMENTS - 1) {
-        const dot = createDot(RUBIKS_COLORS[2], 2);
+        const dot = createDot(themes.face(2).stickerColor, 2);
         dot.position.set(dotOffset, halfSize + dotZ, -dotOffset);
         dot.rotation.x = -Math.PI / 2;
         cube.add(dot);
       }
-      // -Y face (bottom) - orange (face 3)
+      // -Y face (bottom, face 3)
       if (y === 0) {
-        const dot = createDot(RUBIKS_COLORS[3], 3);
+        const dot = createDot(themes.face(3).stickerColor, 3);
         dot.position.set(dotOffset, -halfSize - dotZ, dotOffset);
         dot.rotation.x = Math.PI / 2;
         cube.add(dot);
       }
-      // +Z face (front) - yellow (face 4)
+      // +Z face (front, face 4)
       if (z === SEGMENTS - 1) {
-        const dot = createDot(RUBIKS_COLORS[4], 4);
+        const dot = createDot(themes.face(4).stickerColor, 4);
         dot.position.set(dotOffset, dotOffset, halfSize + dotZ);
         cube.add(dot);
       }
-      // -Z face (back) - white (face 5)
+      // -Z face (back, face 5)
       if (z === 0) {
-        const dot = createDot(RUBIKS_COLORS[5], 5);
+        const dot = createDot(themes.face(5).stickerColor, 5);
         dot.position.set(-dotOffset, dotOffset, -halfSize - dotZ);
         dot.rotation.y = Math.PI;
         cube.add(dot);
       }
 
-      // Position
-      const offset = (SEGMENTS - 1) / 2;
-      cube.position.set(
-        (x - offset) * (SEGMENT_SIZE + GAP),
-        (y - offset) * (SEGMENT_SIZE + GAP),
-        (z - offset) * (SEGMENT_SIZE + GAP)
-      );
-
-      cube.userData = { x, y, z };
+      cube.userData.cubie = cubie;
+      syncCubeMesh(cube);
       smallCubes.push(cube);
       cubeGroup.add(cube);
     }
+
+    if (faceSkin !== 'none') setFaceSkin(faceSkin);
   }
-}
 
-scene.add(cubeGroup);
+  // Free everything buildCube() created
+  function disposeCube() {
+    removeFaceStickers();
+    const geometries = new Set();
+    smallCubes.forEach((cube) => {
+      cube.traverse((obj) => {
+        if (obj.geometry) geometries.add(obj.geometry);
+        if (obj.material) obj.material.dispose();
+      });
+      cubeGroup.remove(cube);
+    });
+    geometries.forEach(geometry => geometry.dispose());
+    smallCubes.length = 0;
+  }
 
-// ============================================
-// PARTICLE SYSTEM - Cube Stars
-// ============================================
-const starCount = 800; // More stars!
-const starGeometry = new THREE.BoxGeometry(0.03, 0.03, 0.03); // Tiny cube stars
-const starMaterial = new THREE.MeshBasicMaterial({
-  color: 0xffffff,
-  transparent: true,
-  opacity: 0.8
-});
+  buildCube(SEGMENTS);
+  scene.add(cubeGroup);
 
-const stars = new THREE.InstancedMesh(starGeometry, starMaterial, starCount);
-const starData = [];
+  // ============================================
+  // AMBIENT EFFECTS - Per-face atmosphere (see effects.js)
+  // ============================================
+  // Themes list the effects each face wants; the animation loop drives them.
+  // ?stars=20000 overrides the star count.
+  const DEFAULT_STAR_COUNT = 800;
+  const MAX_STAR_COUNT = 50000;
 
-// Position stars as a backdrop dome behind the cube (visible from camera)
-for (let i = 0; i < starCount; i++) {
-  const matrix = new THREE.Matrix4();
+  function initialStarCount() {
+    const count = parseInt(params.get('stars'), 10);
+    return count > 0 ? Math.min(count, MAX_STAR_COUNT) : DEFAULT_STAR_COUNT;
+  }
 
-  // Create a dome/hemisphere behind the cube
-  // Camera is at z=5 looking at origin, so stars should be at negative Z (behind cube)
-  const distance = 8 + Math.random() * 12; // 8-20 units away
+  const effects = createEffectsManager({ context: { scene, bloomLayer: BLOOM_LAYER } });
+  effects.register('stars', context => createStarField(context, { count: initialStarCount() }));
+  effects.register('meteors', context => createMeteorShower(context));
+
+  // ============================================
+  // MOTION PREFERENCE - Follows prefers-reduced-motion, can be overridden in the UI
+  // ============================================
+  // With reduced motion the intro fades in instead of exploding, turns are instant,
+  // the cube snaps to faces without momentum, and the trace, twinkle and meteors stop.
+  const MOTION_STORAGE_KEY = 'cube-site-reduced-motion';
+  const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const motionToggle = root.getElementById('motion-toggle');
+
+  // 'on' / 'off' when the visitor has chosen in the UI, null to follow the system
+  function loadMotionOverride() {
+    try {
+      return localStorage.getItem(MOTION_STORAGE_KEY);
+    } catch {
+      return null; // Storage unavailable - follow the system
+    }
+  }
 
-  // Horizontal spread (left to right)
-  const x = (Math.random() - 0.5) * 25;
+  let motionOverride = loadMotionOverride();
+  let reducedMotion = motionOverride === null ? reducedMotionQuery.matches : motionOverride === 'on';
 
-  // Vertical spread, biased toward top
-  const yBias = Math.pow(Math.random(), 0.7); // Favor upper portion
-  const y = (yBias - 0.3) * 20; // -6 to 14 (more at top)
+  function renderMotionToggle() {
+    host.classList.toggle('reduced-motion', reducedMotion);
+    motionToggle.setAttribute('aria-pressed', String(reducedMotion));
+    motionToggle.classList.toggle('active', reducedMotion);
+  }
 
-  // Depth - push stars back behind the cube
-  const z = -distance + (Math.random() - 0.5) * 8;
+  renderMotionToggle();
+  effects.setReducedMotion(reducedMotion);
 
-  matrix.setPosition(x, y, z);
+  function applyReducedMotion(value) {
+    if (value === reducedMotion) return;
+    reducedMotion = value;
+    renderMotionToggle();
+    effects.setReducedMotion(value);
 
-  // Random rotation
-  const rotation = new THREE.Euler(
-    Math.random() * Math.PI,
-    Math.random() * Math.PI,
-    Math.random() * Math.PI
-  );
-  matrix.makeRotationFromEuler(rotation);
-  matrix.setPosition(x, y, z);
-
-  stars.setMatrixAt(i, matrix);
-
-  // Store data for twinkling animation - varied patterns
-  const twinkleType = Math.random();
-  let speed, amplitude;
-
-  if (twinkleType < 0.3) {
-    // Fast twinklers (30%)
-    speed = 3 + Math.random() * 4;
-    amplitude = 0.6 + Math.random() * 0.4;
-  } else if (twinkleType < 0.6) {
-    // Medium twinklers (30%)
-    speed = 1.5 + Math.random() * 2;
-    amplitude = 0.3 + Math.random() * 0.4;
-  } else if (twinkleType < 0.85) {
-    // Slow twinklers (25%)
-    speed = 0.5 + Math.random() * 1;
-    amplitude = 0.2 + Math.random() * 0.3;
-  } else {
-    // Steady stars - barely twinkle (15%)
-    speed = 0.1 + Math.random() * 0.3;
-    amplitude = 0.05 + Math.random() * 0.1;
-  }
-
-  starData.push({
-    twinkleSpeed: speed,
-    twinkleAmplitude: amplitude,
-    twinkleOffset: Math.random() * Math.PI * 2,
-    baseOpacity: 0.5 + Math.random() * 0.5,
-    index: i
-  });
-}
+    if (value) {
+      // Stop what's already moving
+      velocity = { x: 0, y: 0 };
+      moveQueue.flush();
+    }
+  }
 
-stars.instanceMatrix.needsUpdate = true;
-stars.visible = false; // Only show in night sky (Why section)
-stars.layers.set(BLOOM_LAYER); // Stars use bloom layer
-scene.add(stars);
-
-// ============================================
-// SHOOTING STARS - Cube Meteors
-// ============================================
-const shootingStars = [];
-const maxShootingStars = 10; // More meteors can be visible at once
-
-function createShootingStar() {
-  const geometry = new THREE.BoxGeometry(0.12, 0.12, 0.12);
-  const material = new THREE.MeshBasicMaterial({
-    color: 0xffffff,
-    transparent: true,
-    opacity: 1
-  });
-  const meteor = new THREE.Mesh(geometry, material);
+  function setReducedMotion(value) {
+    motionOverride = value ? 'on' : 'off';
+    try {
+      localStorage.setItem(MOTION_STORAGE_KEY, motionOverride);
+    } catch {
+      // Private mode or quota - the choice lasts for this visit
+    }
+    applyReducedMotion(value);
+  }
 
-  // Start from top corner, shoot diagonally across and down
-  const startY = 15 + Math.random() * 10;
-  const startX = (Math.random() > 0.5 ? 1 : -1) * (15 + Math.random() * 10); // Start from left or right
-  const startZ = (Math.random() - 0.5) * 20;
+  reducedMotionQuery.addEventListener('change', () => {
+    if (motionOverride === null) applyReducedMotion(reducedMotionQuery.matches);
+  }, { signal });
+
+  motionToggle.addEventListener('click', () => {
+    setReducedMotion(!reducedMotion);
+  }, { signal });
+
+  // ============================================
+  // INTRO ANIMATION - Cubes explode in
+  // ============================================
+  let introComplete = false;
+
+  // Reduced motion: the cube is already in place and the canvas fades in
+  function playIntroFade() {
+    const canvas = renderer.domElement;
+    canvas.style.opacity = '0';
+    canvas.style.transition = 'opacity 0.6s ease';
+    nextFrame(() => {
+      canvas.style.opacity = '1';
+    });
 
-  meteor.position.set(startX, startY, startZ);
+    later(() => {
+      canvas.style.transition = '';
+      finishIntro();
+    }, 600);
+  }
 
-  // Velocity: diagonal trajectory (down and across)
-  const direction = startX > 0 ? -1 : 1; // Move opposite to start position
-  meteor.userData.velocity = new THREE.Vector3(
-    direction * (0.3 + Math.random() * 0.3), // Strong horizontal movement
-    -0.4 - Math.random() * 0.3,              // Falling down
-    (Math.random() - 0.5) * 0.2              // Slight depth movement
-  );
+  function finishIntro() {
+    introComplete = true;
+    analytics.track('intro:complete', { duration: Math.round(performance.now() - mountedAt) });
+    // Initialize materials to default after intro
+    applyMaterialPreset(-1);
+    // A restored cube is already past its face's turn, so its face is shown without one
+    const restored = restoreCube();
+    // Then show the face the URL (or the saved cube, or the face option) links to, if any
+    applyRoute(initialRoute(), { turn: !restored });
+    // Build the solver's tables while nothing is happening, so the first solve
+    // or random-state scramble doesn't freeze the page
+    whenIdle(initSolver);
+  }
 
-  // Random rotation speed for tumbling effect
-  meteor.userData.rotationSpeed = new THREE.Vector3(
-    (Math.random() - 0.5) * 0.15,
-    (Math.random() - 0.5) * 0.15,
-    (Math.random() - 0.5) * 0.15
-  );
+  function playIntroAnimation() {
+    if (reducedMotion) {
+      playIntroFade();
+      return;
+    }
 
-  meteor.userData.lifetime = 0;
-  meteor.userData.maxLifetime = 3 + Math.random() * 2; // 3-5 seconds
+    const duration = 2000; // 2 seconds
+    const staggerDelay = 50 * 26 / smallCubes.length; // delay between each cube starting (a 3x3 has 26)
+    const start = performance.now();
 
-  meteor.layers.set(BLOOM_LAYER); // Shooting stars also bloom
-  scene.add(meteor);
-  shootingStars.push(meteor);
+    // Store target positions and set random start positions
+    smallCubes.forEach((cube, i) => {
+      // Store the final position
+      cube.userData.targetPos = cube.position.clone();
+      cube.userData.targetRot = cube.quaternion.clone();
 
-  return meteor;
-}
+      // Random start position - scattered around
+      const spread = 8;
+      cube.position.set(
+        (Math.random() - 0.5) * spread * 2,
+        (Math.random() - 0.5) * spread * 2,
+        (Math.random() - 0.5) * spread - 5 // Bias toward camera
+      );
 
-function spawnShootingStars() {
-  if (!meteorShowerActive) return;
+      // Random start rotation
+      cube.quaternion.setFromEuler(new THREE.Euler(
+        Math.random() * Math.PI * 2,
+        Math.random() * Math.PI * 2,
+        Math.random() * Math.PI * 2
+      ));
+
+      // Store start position for interpolation
+      cube.userData.startPos = cube.position.clone();
+      cube.userData.startRot = cube.quaternion.clone();
+      cube.userData.delay = i * staggerDelay;
+    });
+
+    function animateIntro() {
+      const elapsed = performance.now() - start;
+
+      let allDone = true;
+
+      smallCubes.forEach((cube) => {
+        const cubeElapsed = elapsed - cube.userData.delay;
+        if (cubeElapsed < 0) {
+          allDone = false;
+          return;
+        }
+
+        const progress = Math.min(cubeElapsed / duration, 1);
+
+        // easeOutExpo for dramatic slow-down at the end
+        const eased = progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress);
 
-  // Spawn 2-4 shooting stars for more dramatic effect
-  const count = 2 + Math.floor(Math.random() * 3);
-  for (let i = 0; i < count; i++) {
-    if (shootingStars.length < maxShootingStars) {
-      setTimeout(() => createShootingStar(), i * 300); // Stagger spawns
+        // Interpolate position
+        cube.position.lerpVectors(cube.userData.startPos, cube.userData.targetPos, eased);
+
+        // Interpolate rotation
+        cube.quaternion.slerpQuaternions(cube.userData.startRot, cube.userData.targetRot, eased);
+
+        if (progress < 1) allDone = false;
+      });
+
+      if (!allDone) {
+        nextFrame(animateIntro);
+      } else {
+        // Clean up userData
+        smallCubes.forEach(cube => {
+          delete cube.userData.startPos;
+          delete cube.userData.startRot;
+          delete cube.userData.targetPos;
+          delete cube.userData.targetRot;
+          delete cube.userData.delay;
+        });
+        finishIntro();
+      }
     }
+
+    nextFrame(animateIntro);
   }
 
-  // Schedule next meteor shower (more frequent)
-  const nextShower = 3000 + Math.random() * 4000; // 3-7 seconds
-  setTimeout(spawnShootingStars, nextShower);
-}
+  // Start the intro once the environment the first view needs has loaded (or
+  // after a short wait, so a slow network can't hold the page), so reflections
+  // don't change while the cube flies in
+  const ENVIRONMENT_WAIT = 1500;
+  let introStarted = false;
+
+  Promise.race([
+    environments.load(environmentFor(-1)).then((texture) => {
+      if (!introStarted && texture) scene.environment = texture;
+    }, error => console.warn('Intro environment not loaded:', error.message)),
+    new Promise(resolve => later(resolve, ENVIRONMENT_WAIT)),
+  ]).then(() => {
+    introStarted = true;
+    // Have every face's environment ready before anyone navigates to it
+    new Set(FACE_SLUGS.map((slug, i) => environmentFor(i))).forEach((name) => {
+      environments.load(name).catch(error => console.warn(`Environment "${name}" not preloaded:`, error.message));
+    });
+    later(playIntroAnimation, 100);
+  });
 
-// Start meteor showers (only when stars are visible)
-let meteorShowerActive = false;
-
-// ============================================
-// INTRO ANIMATION - Cubes explode in
-// ============================================
-let introComplete = false;
-
-function playIntroAnimation() {
-  const duration = 2000; // 2 seconds
-  const staggerDelay = 50; // delay between each cube starting
-  const start = performance.now();
-
-  // Store target positions and set random start positions
-  smallCubes.forEach((cube, i) => {
-    // Store the final position
-    cube.userData.targetPos = cube.position.clone();
-    cube.userData.targetRot = cube.quaternion.clone();
-
-    // Random start position - scattered around
-    const spread = 8;
-    cube.position.set(
-      (Math.random() - 0.5) * spread * 2,
-      (Math.random() - 0.5) * spread * 2,
-      (Math.random() - 0.5) * spread - 5 // Bias toward camera
-    );
+  // ============================================
+  // RUBIK'S STYLE ROTATION ANIMATION
+  // ============================================
+  const TURN_DURATION = 350; // Quarter-turn duration in ms (turns speed up when many are queued)
+  const HALF_TURN_FACTOR = 1.4; // A 180 degree turn plays as one slightly longer animation
+
+  // Turns play one after another instead of being dropped while one animates
+  const moveQueue = createMoveQueue({ duration: TURN_DURATION });
+
+  // Track move history for solving and undo; undone turns wait in redoStack.
+  // A restored cube's history starts from where it was restored, not from solved.
+  let moveHistory = [];
+  let redoStack = [];
+  let historyFromSolved = true;
+  let isDarkMode = false;
+
+  // Each face rotates a different slice - like turning a Rubik's cube
+  // This allows the cube to get properly scrambled
+  // Moves are written in standard cube notation (see notation.js)
+  const faceToMove = {
+    0: "R'", // Why? - rotate right slice
+    1: "L'", // What? - rotate left slice
+    2: "U'", // How? - rotate top slice
+    3: "D'", // Where? - rotate bottom slice
+    4: "F'", // When? - rotate front slice
+    5: "B'", // Who? - rotate back slice
+  };
 
-    // Random start rotation
-    cube.quaternion.setFromEuler(new THREE.Euler(
-      Math.random() * Math.PI * 2,
-      Math.random() * Math.PI * 2,
-      Math.random() * Math.PI * 2
-    ));
-
-    // Store start position for interpolation
-    cube.userData.startPos = cube.position.clone();
-    cube.userData.startRot = cube.quaternion.clone();
-    cube.userData.delay = i * staggerDelay;
-  });
+  // Opposite faces that cancel each other out
+  const oppositeFace = { 0: 1, 1: 0, 2: 3, 3: 2, 4: 5, 5: 4 };
+
+  // Capture a slice's cubes and their current transforms so it can be turned to any angle.
+  // index can be a single layer or an array of layers (wide turns and rotations).
+  function captureSlice(axis, index) {
+    // Find cubes in this slice based on their logical grid position
+    const axisIndex = AXES.indexOf(axis);
+    const layers = Array.isArray(index) ? index : [index];
+    const cubes = smallCubes.filter(cube => layers.includes(cube.userData.cubie.position[axisIndex]));
+
+    return {
+      cubes,
+      // Store original positions relative to cubeGroup
+      positions: cubes.map(cube => cube.position.clone()),
+      quaternions: cubes.map(cube => cube.quaternion.clone()),
+      rotationAxis: new THREE.Vector3(
+        axis === 'x' ? 1 : 0,
+        axis === 'y' ? 1 : 0,
+        axis === 'z' ? 1 : 0
+      )
+    };
+  }
 
-  function animateIntro() {
-    const elapsed = performance.now() - start;
+  // Turn a captured slice to an absolute angle around its axis
+  function setSliceAngle(slice, angle) {
+    const rotQuat = new THREE.Quaternion().setFromAxisAngle(slice.rotationAxis, angle);
 
-    let allDone = true;
+    slice.cubes.forEach((cube, i) => {
+      // Rotate position around origin
+      cube.position.copy(slice.positions[i]).applyQuaternion(rotQuat);
+      // Rotate orientation
+      cube.quaternion.copy(rotQuat).multiply(slice.quaternions[i]);
+    });
+  }
 
-    smallCubes.forEach((cube) => {
-      const cubeElapsed = elapsed - cube.userData.delay;
-      if (cubeElapsed < 0) {
-        allDone = false;
-        return;
+  // Animate a captured slice from one angle to another.
+  // shouldSkip is checked every frame so a flushed queue can jump to the end.
+  function animateSliceAngle(slice, fromAngle, toAngle, duration, shouldSkip = () => false) {
+    return new Promise((resolve) => {
+      const start = performance.now();
+
+      function animateSlice() {
+        const elapsed = performance.now() - start;
+        const progress = duration > 0 && !shouldSkip() ? Math.min(elapsed / duration, 1) : 1;
+
+        // easeOutCubic for smooth feel
+        const eased = 1 - Math.pow(1 - progress, 3);
+        setSliceAngle(slice, fromAngle + (toAngle - fromAngle) * eased);
+
+        if (progress < 1) {
+          nextFrame(animateSlice);
+        } else {
+          resolve();
+        }
       }
 
-      const progress = Math.min(cubeElapsed / duration, 1);
+      animateSlice();
+    });
+  }
+
+  // Code that reacts to turns (like the timer) hooks in here instead of polling.
+  // 'start' fires when a turn begins to move, 'end' once it is committed.
+  // source says what made the turn: 'user' (drag or nav), 'api' (controller.turn),
+  // 'scramble', 'solve', 'undo' or 'redo'.
+  const turnListeners = { start: [], end: [] };
 
-      // easeOutExpo for dramatic slow-down at the end
-      const eased = progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress);
+  function onTurn(phase, listener) {
+    turnListeners[phase].push(listener);
+  }
+
+  function notifyTurn(phase, axis, index, quarterTurns, source) {
+    const turn = { axis, layers: Array.isArray(index) ? index : [index], quarterTurns, source };
+    turnListeners[phase].forEach(listener => listener(turn));
+  }
+
+  // Commit a turn to the logical state and snap the slice's meshes onto the result
+  function commitSliceTurn(slice, axis, index, quarterTurns, source) {
+    if (quarterTurns % 4 !== 0) cubeState.turn(axis, index, quarterTurns);
+    slice.cubes.forEach(syncCubeMesh);
+    if (quarterTurns % 4 !== 0) notifyTurn('end', axis, index, quarterTurns, source);
+  }
 
-      // Interpolate position
-      cube.position.lerpVectors(cube.userData.startPos, cube.userData.targetPos, eased);
+  // Record a new turn for solving and undo. A new turn drops the redo branch.
+  function recordTurn(axis, index, direction) {
+    moveHistory.push({ axis, index, direction });
+    redoStack = [];
+    updateUndoButtons();
+  }
 
-      // Interpolate rotation
-      cube.quaternion.slerpQuaternions(cube.userData.startRot, cube.userData.targetRot, eased);
+  // Animate and commit one turn from inside a queued job
+  function playTurn(turn, axis, index, direction, source) {
+    // Capture the slice when the turn starts, after earlier queued turns have moved cubes
+    const slice = captureSlice(axis, index);
+    notifyTurn('start', axis, index, direction, source);
+    const targetAngle = (Math.PI / 2) * direction;
+    let duration = Math.abs(direction) === 2 ? turn.duration * HALF_TURN_FACTOR : turn.duration;
+    if (reducedMotion) duration = 0;
 
-      if (progress < 1) allDone = false;
+    return animateSliceAngle(slice, 0, targetAngle, duration, () => turn.skip).then(() => {
+      commitSliceTurn(slice, axis, index, direction, source);
     });
+  }
 
-    if (!allDone) {
-      requestAnimationFrame(animateIntro);
-    } else {
-      // Clean up userData
-      smallCubes.forEach(cube => {
-        delete cube.userData.startPos;
-        delete cube.userData.startRot;
-        delete cube.userData.targetPos;
-        delete cube.userData.targetRot;
-        delete cube.userData.delay;
-      });
-      introComplete = true;
-      // Initialize materials to default after intro
-      applyMaterialPreset(-1);
+  // Queue a slice turn (Rubik's style). Resolves once the turn has played.
+  // direction is a number of quarter turns: 1 or -1, or 2 / -2 for a half turn.
+  function rotateSlice(axis, index, direction = 1, recordMove = true, source = 'user') {
+    return moveQueue.enqueue((turn) => {
+      // Record this move for potential solving
+      if (recordMove) recordTurn(axis, index, direction);
+      return playTurn(turn, axis, index, direction, source);
+    });
+  }
+
+  // Queue an algorithm in standard notation ("R U R' U2 M x"), one turn per move.
+  // Throws a NotationError before anything moves if the algorithm is invalid.
+  function runAlgorithm(algorithm, recordMove = true, source = 'user') {
+    const moves = typeof algorithm === 'string' ? parseAlgorithm(algorithm, { size: SEGMENTS }) : algorithm;
+
+    return Promise.all(moves.map((move) => {
+      const { axis, layers, quarterTurns } = moveToTurn(move, SEGMENTS);
+      return rotateSlice(axis, layers, quarterTurns, recordMove, source);
+    }));
+  }
+
+  // Check if cube is solved from the logical state (every face a single color).
+  // Above 3x3 the center pieces can end up twisted, and the dots show it,
+  // so their orientation has to match too.
+  function checkIfSolved() {
+    return cubeState.isSolved({ orientation: SEGMENTS > 3 });
+  }
+
+  let hasBeenMixed = false;
+
+  // Any committed turn that leaves the cube unsolved mixes it, so the next time
+  // it comes back to solved (by turning, undoing or redoing) counts as a solve
+  onTurn('end', () => {
+    if (!checkIfSolved()) hasBeenMixed = true;
+  });
+
+  onTurn('end', turn => analytics.track('turn', turn));
+
+  function checkForSolve() {
+    if (!hasBeenMixed) return false;
+
+    if (checkIfSolved()) {
+      // Cube is solved! Toggle dark mode
+      isDarkMode = !isDarkMode;
+      host.classList.toggle('dark-mode', isDarkMode);
+
+      // Reset materials to default when solved
+      if (isDarkMode) {
+        applyMaterialPreset(-1); // Apply default material
+      }
+
+      hasBeenMixed = false; // Reset so next solve can trigger
+      scheduleSave();
+      analytics.track('solve', { size: SEGMENTS });
+      analytics.track('dark-mode', { on: isDarkMode });
+      announce(`Cube solved! Dark mode ${isDarkMode ? 'on' : 'off'}.`);
+      emit('solved', { darkMode: isDarkMode });
+      return true;
     }
+    return false;
   }
 
-  requestAnimationFrame(animateIntro);
-}
+  // ============================================
+  // DRAG CONTROLS (Whole cube rotation + slice turns)
+  // ============================================
+  let isDragging = false;
+  let previousMousePosition = { x: 0, y: 0 };
+  let targetRotation = { x: 0, y: 0 };
+  let currentRotation = { x: 0, y: 0 };
+  let velocity = { x: 0, y: 0 };
+  let autoRotate = false;
+
+  // Raycaster for detecting clicks on cube (for double-tap content)
+  const raycaster = new THREE.Raycaster();
+  const mouse = new THREE.Vector2();
+
+  function getIntersectedCube(e) {
+    const rect = container.getBoundingClientRect();
+    mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, camera);
+
+    // Only check the cube meshes themselves, not children (faster)
+    const intersects = raycaster.intersectObjects(smallCubes, false);
+
+    if (intersects.length > 0) {
+      return { cube: intersects[0].object, point: intersects[0].point, face: intersects[0].face };
+    }
+
+    // Also check children if direct check missed (for wireframes/dots clicked)
+    const intersectsDeep = raycaster.intersectObjects(smallCubes, true);
+    if (intersectsDeep.length > 0) {
+      let obj = intersectsDeep[0].object;
+      while (obj && !smallCubes.includes(obj)) {
+        obj = obj.parent;
+      }
+      if (obj) {
+        return { cube: obj, point: intersectsDeep[0].point, face: intersectsDeep[0].face };
+      }
+    }
+
+    return null;
+  }
+
+  // ============================================
+  // SLICE DRAG - Press on a cubie and drag along its face to turn that slice
+  // ============================================
+  const SLICE_DRAG_THRESHOLD = 6; // Pixels of movement before a press becomes a turn
+  const SLICE_SNAP_DURATION = 150;
+  let sliceDrag = null;
+  let suppressNextTap = false;
+
+  // Project a point in cubeGroup space to client (pointer event) pixels
+  function projectToScreen(localPoint) {
+    const ndc = localPoint.clone().applyMatrix4(cubeGroup.matrixWorld).project(camera);
+    const rect = container.getBoundingClientRect();
+    return new THREE.Vector2(
+      rect.left + (ndc.x + 1) / 2 * rect.width,
+      rect.top + (1 - ndc.y) / 2 * rect.height
+    );
+  }
+
+  // Index of the largest component of a vector (0 = x, 1 = y, 2 = z)
+  function dominantAxis(v) {
+    const ax = Math.abs(v.x), ay = Math.abs(v.y), az = Math.abs(v.z);
+    if (ax >= ay && ax >= az) return 0;
+    return ay >= az ? 1 : 2;
+  }
+
+  function beginSliceDrag(hit, e) {
+    // Work out which outer face was pressed from the hit point in cube space
+    const localPoint = cubeGroup.worldToLocal(hit.point.clone());
+    const normalAxis = dominantAxis(localPoint);
+    const normal = new THREE.Vector3().setComponent(normalAxis, Math.sign(localPoint.getComponent(normalAxis)));
+
+    return {
+      cube: hit.cube,
+      localPoint,
+      normal,
+      normalAxis,
+      startX: e.clientX,
+      startY: e.clientY,
+      slice: null,     // Set once the drag direction is known
+      angle: 0
+    };
+  }
+
+  // Lock the drag to the slice whose turn best matches the initial drag direction
+  function lockSliceDrag(drag, dx, dy) {
+    const dragDir = new THREE.Vector2(dx, dy).normalize();
+    const origin = projectToScreen(drag.localPoint);
+
+    let best = null;
+    for (let i = 0; i < 3; i++) {
+      if (i === drag.normalAxis) continue;
+
+      // Screen movement for one unit along this in-face tangent
+      const tangent = new THREE.Vector3().setComponent(i, 1);
+      const screenDelta = projectToScreen(drag.localPoint.clone().add(tangent)).sub(origin);
+      const lengthSq = screenDelta.lengthSq();
+      if (lengthSq < 1e-6) continue;
+
+      const alignment = Math.abs(dragDir.dot(screenDelta)) / Math.sqrt(lengthSq);
+      if (!best || alignment > best.alignment) {
+        best = { tangent, screenDelta, lengthSq, alignment };
+      }
+    }
+    if (!best) return false;
+
+    // Turning around normal x tangent moves the pressed face along the tangent
+    const turnAxis = new THREE.Vector3().crossVectors(drag.normal, best.tangent);
+    const axisIndex = dominantAxis(turnAxis);
+    const axis = ['x', 'y', 'z'][axisIndex];
+
+    drag.axis = axis;
+    drag.index = drag.cube.userData.cubie.position[axisIndex];
+    drag.axisSign = Math.sign(turnAxis.getComponent(axisIndex));
+    drag.screenDelta = best.screenDelta;
+    drag.lengthSq = best.lengthSq;
+    drag.slice = captureSlice(axis, drag.index);
+    return true;
+  }
+
+  function updateSliceDrag(drag, e) {
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+
+    if (!drag.slice) {
+      if (Math.hypot(dx, dy) < SLICE_DRAG_THRESHOLD || moveQueue.busy) return;
+      if (!lockSliceDrag(drag, dx, dy)) return;
+
+      // Hold the queue while the finger owns the slice
+      moveQueue.enqueue(() => new Promise((resolve) => {
+        drag.release = resolve;
+      }));
+    }
 
-// Start intro after a brief delay
-setTimeout(playIntroAnimation, 100);
-
-// ============================================
-// RUBIK'S STYLE ROTATION ANIMATION
-// ============================================
-let isAnimating = false;
-
-// Track move history for solving
-let moveHistory = [];
-let isSolved = true;
-let isDarkMode = false;
-
-// Each face rotates a different slice - like turning a Rubik's cube
-// This allows the cube to get properly scrambled
-const faceToMove = {
-  0: { axis: 'x', index: 2, direction: 1 },  // Shop - rotate right slice
-  1: { axis: 'x', index: 0, direction: -1 }, // Experience - rotate left slice
-  2: { axis: 'y', index: 2, direction: 1 },  // News - rotate top slice
-  3: { axis: 'y', index: 0, direction: -1 }, // About - rotate bottom slice
-  4: { axis: 'z', index: 2, direction: 1 },  // Contact - rotate front slice
-  5: { axis: 'z', index: 0, direction: -1 }, // Portfolio - rotate back slice
-};
-
-// Opposite faces that cancel each other out
-const oppositeFace = { 0: 1, 1: 0, 2: 3, 3: 2, 4: 5, 5: 4 };
-
-// Rotate a slice of the cube (Rubik's style)
-function rotateSlice(axis, index, direction = 1, recordMove = true) {
-  return new Promise((resolve) => {
-    if (isAnimating) {
-      resolve();
+    // Distance dragged along the tangent (cube units), turned into an angle at the cube's surface
+    const distance = (dx * drag.screenDelta.x + dy * drag.screenDelta.y) / drag.lengthSq;
+    drag.angle = drag.axisSign * distance / (CUBE_SIZE / 2);
+    setSliceAngle(drag.slice, drag.angle);
+  }
+
+  // released is true when the finger lifted (pointerup), which is followed by a click
+  async function endSliceDrag(drag, released) {
+    if (!drag.slice) return; // Just a tap - leave it for the double-tap handler
+
+    if (released) suppressNextTap = true;
+
+    // Snap to the nearest quarter turn
+    const quarterTurns = Math.round(drag.angle / (Math.PI / 2));
+    await animateSliceAngle(drag.slice, drag.angle, quarterTurns * (Math.PI / 2), reducedMotion ? 0 : SLICE_SNAP_DURATION);
+
+    // Normalise to -1, 1 or 2 quarter turns
+    const turns = ((quarterTurns % 4) + 4) % 4;
+    const direction = turns === 3 ? -1 : turns;
+
+    // A drag that snaps back to where it started isn't a turn
+    if (direction !== 0) notifyTurn('start', drag.axis, drag.index, direction, 'user');
+    commitSliceTurn(drag.slice, drag.axis, drag.index, direction, 'user');
+    drag.release();
+    if (direction === 0) return;
+
+    recordTurn(drag.axis, drag.index, direction);
+    later(() => checkForSolve(), 50);
+  }
+
+  container.addEventListener('pointerdown', (e) => {
+    // A click that never followed the last slice turn must not swallow this tap
+    suppressNextTap = false;
+    if (moveQueue.busy || !introComplete) return;
+
+    previousMousePosition = { x: e.clientX, y: e.clientY };
+    velocity = { x: 0, y: 0 };
+
+    // Pressing on a cubie starts a slice turn; empty space orbits the whole cube
+    const hit = getIntersectedCube(e);
+    if (hit) {
+      sliceDrag = beginSliceDrag(hit, e);
+      container.setPointerCapture(e.pointerId);
       return;
     }
-    isAnimating = true;
 
-    // Record this move for potential solving
-    if (recordMove) {
-      moveHistory.push({ axis, index, direction });
-      isSolved = false;
+    // Enable dragging anywhere on screen
+    isDragging = true;
+  }, { signal });
+
+  container.addEventListener('pointermove', (e) => {
+    if (sliceDrag) {
+      updateSliceDrag(sliceDrag, e);
+      return;
     }
 
-    // Find cubes in this slice based on their grid position
-    const sliceCubes = smallCubes.filter(cube => {
-      const pos = cube.userData;
-      if (axis === 'x') return pos.x === index;
-      if (axis === 'y') return pos.y === index;
-      if (axis === 'z') return pos.z === index;
-    });
+    if (!isDragging) return;
 
-    // Store original positions relative to cubeGroup
-    const originalPositions = sliceCubes.map(cube => cube.position.clone());
-    const originalQuaternions = sliceCubes.map(cube => cube.quaternion.clone());
+    const deltaX = e.clientX - previousMousePosition.x;
+    const deltaY = e.clientY - previousMousePosition.y;
 
-    // Animate rotation
-    const targetAngle = (Math.PI / 2) * direction;
-    const duration = 350;
-    const start = performance.now();
+    // Rotate whole cube
+    targetRotation.y += deltaX * 0.005;
+    targetRotation.x += deltaY * 0.005;
 
-    // Create rotation quaternion for incremental updates
-    const rotationAxis = new THREE.Vector3(
-      axis === 'x' ? 1 : 0,
-      axis === 'y' ? 1 : 0,
-      axis === 'z' ? 1 : 0
-    );
+    velocity.x = deltaY * 0.005;
+    velocity.y = deltaX * 0.005;
 
-    function animateSlice() {
-      const elapsed = performance.now() - start;
-      const progress = Math.min(elapsed / duration, 1);
+    previousMousePosition = { x: e.clientX, y: e.clientY };
+  }, { signal });
+
+  function endPointerDrag(e) {
+    isDragging = false;
+    if (sliceDrag) {
+      endSliceDrag(sliceDrag, e.type === 'pointerup');
+      sliceDrag = null;
+    }
+  }
 
-      // easeOutCubic for smooth feel
-      const eased = 1 - Math.pow(1 - progress, 3);
-      const currentAngle = targetAngle * eased;
+  container.addEventListener('pointerup', endPointerDrag, { signal });
+  container.addEventListener('pointerleave', endPointerDrag, { signal });
+  container.addEventListener('pointercancel', endPointerDrag, { signal });
 
-      // Apply rotation to each cube
-      const rotQuat = new THREE.Quaternion().setFromAxisAngle(rotationAxis, currentAngle);
+  // ============================================
+  // TRANSITIONS - Materials and backgrounds tween between faces
+  // ============================================
+  const THEME_TRANSITION = 600; // ms
 
-      sliceCubes.forEach((cube, i) => {
-        // Rotate position around origin
-        cube.position.copy(originalPositions[i]).applyQuaternion(rotQuat);
-        // Rotate orientation
-        cube.quaternion.copy(rotQuat).multiply(originalQuaternions[i]);
-      });
+  const tweens = createTweens();
 
-      if (progress < 1) {
-        requestAnimationFrame(animateSlice);
+  function themeTransitionDuration() {
+    return reducedMotion ? 0 : THEME_TRANSITION;
+  }
+
+  // ============================================
+  // FACE NAVIGATION
+  // ============================================
+  // Face rotations (euler angles to show each face forward)
+  const faceRotations = [
+    { x: 0, y: -Math.PI / 2 },      // 0: +X (Why?)
+    { x: 0, y: Math.PI / 2 },       // 1: -X (What?)
+    { x: -Math.PI / 2, y: 0 },      // 2: +Y (How?)
+    { x: Math.PI / 2, y: 0 },       // 3: -Y (Where?)
+    { x: 0, y: 0 },                 // 4: +Z (When?)
+    { x: 0, y: Math.PI },           // 5: -Z (Who?)
+  ];
+
+  let currentFace = -1;
+  const navButtons = root.querySelectorAll('#nav button');
+
+  // Bloom from a face's theme. strength 0 skips the bloom pass; cube: true makes the
+  // cubies themselves glow (only bright, emissive materials get past the threshold).
+  function applyFaceBloom(faceIndex) {
+    const { bloom } = themes.face(faceIndex).lighting;
+    bloomPass.strength = bloom.strength;
+    smallCubes.forEach((cube) => {
+      if (bloom.cube) {
+        cube.layers.enable(BLOOM_LAYER);
       } else {
-        // Snap positions to grid and update userData
-        sliceCubes.forEach(cube => {
-          // Round position to nearest grid slot
-          const offset = (SEGMENTS - 1) / 2;
-          const gridX = Math.round(cube.position.x / (SEGMENT_SIZE + GAP) + offset);
-          const gridY = Math.round(cube.position.y / (SEGMENT_SIZE + GAP) + offset);
-          const gridZ = Math.round(cube.position.z / (SEGMENT_SIZE + GAP) + offset);
-
-          cube.userData = { x: gridX, y: gridY, z: gridZ };
-
-          // Snap to exact grid position
-          cube.position.set(
-            (gridX - offset) * (SEGMENT_SIZE + GAP),
-            (gridY - offset) * (SEGMENT_SIZE + GAP),
-            (gridZ - offset) * (SEGMENT_SIZE + GAP)
-          );
-
-          // Snap quaternion to nearest 90-degree rotation
-          snapQuaternion(cube.quaternion);
+        cube.layers.disable(BLOOM_LAYER);
+      }
+    });
+  }
+
+  // Switch reflections along with the face. An environment that is still loading
+  // isn't swapped in when it arrives - the current one stays until the next face
+  // change, so materials never pop mid-view.
+  function applyFaceEnvironment(faceIndex) {
+    const name = environmentFor(faceIndex);
+    const texture = environments.peek(name);
+    if (texture) {
+      scene.environment = texture;
+    } else {
+      environments.load(name).catch(error => console.warn(`Environment "${name}" not loaded:`, error.message));
+    }
+  }
+
+  // Page background (supports both gradients and solid colors). CSS can't
+  // transition between gradients, so two stacked layers crossfade instead: the
+  // new background goes on the back layer, which is raised and faded in.
+  // With no face selected both layers fade out to the body's own background.
+  const backgroundLayers = [...root.querySelectorAll('#background .background-layer')];
+  let frontBackground = 0;
+
+  function applyFaceBackground(faceIndex, { duration = themeTransitionDuration() } = {}) {
+    const value = faceIndex >= 0 ? themes.face(faceIndex).background : 'none';
+    if (backgroundLayers[frontBackground].dataset.background === value) return;
+
+    frontBackground = 1 - frontBackground;
+    const to = backgroundLayers[frontBackground];
+    const from = backgroundLayers[1 - frontBackground];
+    to.dataset.background = value;
+    to.style.background = value;
+    to.style.zIndex = '1';
+    from.style.zIndex = '0';
+
+    // Start from wherever an interrupted fade left off
+    const start = backgroundLayers.map(layer => Number(layer.style.opacity || 0));
+    const end = backgroundLayers.map((layer, i) => {
+      if (value === 'none') return 0;
+      return layer === to ? 1 : start[i];
+    });
+    tweens.start('background', {
+      duration,
+      update: (t) => {
+        backgroundLayers.forEach((layer, i) => {
+          layer.style.opacity = String(lerp(start[i], end[i], t));
+        });
+      },
+      // The old layer is hidden under the new one by now
+      complete: () => {
+        from.style.opacity = '0';
+      },
+    });
+  }
+
+  // Ambient effects listed by the theme (the night sky's stars and meteor shower)
+  function applyFaceEffects(faceIndex) {
+    effects.show(themes.face(faceIndex).effects);
+  }
+
+  // Everything about a face's look, from the current theme pack
+  function applyFaceTheme(faceIndex) {
+    applyFaceBackground(faceIndex);
+    applyMaterialPreset(faceIndex);
+    applyFaceBloom(faceIndex);
+    applyFaceEnvironment(faceIndex);
+    applyFaceEffects(faceIndex);
+  }
+
+  // Material settings that tween, with the defaults used when a preset leaves one out
+  function materialTarget(preset) {
+    return {
+      color: new THREE.Color(preset.color),
+      emissive: new THREE.Color(preset.emissive || 0x000000),
+      opacity: preset.opacity,
+      roughness: preset.roughness,
+      metalness: preset.metalness,
+      clearcoat: preset.clearcoat,
+      transmission: preset.transmission || 0,
+      emissiveIntensity: preset.emissiveIntensity || 0,
+      iridescence: preset.iridescence || 0,
+      iridescenceIOR: preset.iridescenceIOR || 1.3,
+    };
+  }
+
+  const MATERIAL_NUMBERS = ['opacity', 'roughness', 'metalness', 'clearcoat', 'transmission', 'emissiveIntensity', 'iridescence', 'iridescenceIOR'];
+
+  function readMaterial(mat) {
+    const values = { color: mat.color.clone(), emissive: mat.emissive.clone() };
+    MATERIAL_NUMBERS.forEach((key) => {
+      values[key] = mat[key];
+    });
+    return values;
+  }
+
+  // Changing transparent switches shaders, so it's only set at the ends of a tween
+  function setTransparent(materials, transparent) {
+    materials.forEach((mat) => {
+      if (mat.transparent === transparent) return;
+      mat.transparent = transparent;
+      mat.needsUpdate = true;
+    });
+  }
+
+  // Tween all cube pieces to a face's theme material (-1 for the default).
+  // Every cubie shares the same settings, so the first one is the starting point.
+  function applyMaterialPreset(presetIndex, { duration = themeTransitionDuration() } = {}) {
+    const preset = themes.face(presetIndex).material;
+    console.log('Applying material preset:', presetIndex, preset);
+
+    const materials = smallCubes.map(cube => cube.material);
+    if (materials.length === 0) return;
+
+    const from = readMaterial(materials[0]);
+    const to = materialTarget(preset);
+    const transparent = preset.transparent !== undefined ? preset.transparent : true;
+
+    // Blend through transparent so opacity can fade in or out, and only turn
+    // transparency off once the material is fully opaque
+    setTransparent(materials, true);
+    materials.forEach((mat) => {
+      mat.thickness = 1.0;
+      mat.ior = 1.5;
+    });
+
+    const color = new THREE.Color();
+    const emissive = new THREE.Color();
+    tweens.start('material', {
+      duration,
+      update: (t) => {
+        color.lerpColors(from.color, to.color, t);
+        emissive.lerpColors(from.emissive, to.emissive, t);
+        const values = {};
+        MATERIAL_NUMBERS.forEach((key) => {
+          values[key] = lerp(from[key], to[key], t);
+        });
+
+        // smallCubes may have been rebuilt mid-tween, so always set the current ones
+        smallCubes.forEach(({ material: mat }) => {
+          mat.color.copy(color);
+          mat.emissive.copy(emissive);
+          MATERIAL_NUMBERS.forEach((key) => {
+            if (key in mat) mat[key] = values[key];
+          });
         });
+      },
+      complete: () => {
+        setTransparent(smallCubes.map(cube => cube.material), transparent);
+      },
+    });
+  }
+
+  // updateUrl: false when the URL already points here (page load, back/forward).
+  // turn: false shows the face without turning its slice.
+  async function navigateToFace(faceIndex, { updateUrl = true, turn = true } = {}) {
+    if (!introComplete) return;
+
+    // The overlay belongs to the face being left
+    if (updateUrl) {
+      hideContent();
+      setRoute({ face: faceIndex, content: false });
+    }
 
-        isAnimating = false;
-        resolve();
+    autoRotate = false;
+    velocity = { x: 0, y: 0 }; // Stop any momentum
+
+    // Perform the slice rotation
+    const move = turn && faceToMove[faceIndex];
+    if (move) {
+      try {
+        await runAlgorithm(move);
+      } catch (error) {
+        if (error instanceof MoveCancelledError) return; // Queue was cancelled before this turn played
+        throw error;
       }
     }
 
-    animateSlice();
-  });
-}
+    // Check if cube is now solved (after animation completes)
+    later(() => checkForSolve(), 50);
 
-// Snap quaternion to nearest 90-degree aligned rotation
-function snapQuaternion(q) {
-  // Convert to euler, snap each axis to nearest 90 degrees, convert back
-  const euler = new THREE.Euler().setFromQuaternion(q);
-  euler.x = Math.round(euler.x / (Math.PI / 2)) * (Math.PI / 2);
-  euler.y = Math.round(euler.y / (Math.PI / 2)) * (Math.PI / 2);
-  euler.z = Math.round(euler.z / (Math.PI / 2)) * (Math.PI / 2);
-  q.setFromEuler(euler);
-}
+    applyFaceTheme(faceIndex);
 
-// Check if cube is solved by examining dot colors on each face
-function checkIfSolved() {
-  // Collect all dots and determine which outer face they're on based on world position
-  const faceDots = {
-    '+x': [], '-x': [],
-    '+y': [], '-y': [],
-    '+z': [], '-z': []
-  };
+    // Smoothly rotate the whole cube to show the face
+    targetRotation = { ...faceRotations[faceIndex] };
+    if (faceIndex !== currentFace) {
+      trackFace('leave', currentFace);
+      trackFace('enter', faceIndex);
+    }
+    currentFace = faceIndex;
+    scheduleSave();
+
+    // Update active nav button (only the selected tab is in the tab order)
+    navButtons.forEach((btn, i) => {
+      btn.classList.toggle('active', i === faceIndex);
+      btn.setAttribute('aria-selected', String(i === faceIndex));
+      btn.tabIndex = i === faceIndex ? 0 : -1;
+    });
+    announce(`${faceName(faceIndex)} face. Press Enter to open.`);
+    emit('facechange', { face: faceIndex, slug: FACE_SLUGS[faceIndex], name: faceName(faceIndex) });
+  }
 
-  const threshold = CUBE_SIZE / 2 - 0.1; // How far from center to be considered on a face
-
-  for (const cube of smallCubes) {
-    cube.traverse((child) => {
-      if (child.userData && child.userData.isDot) {
-        // Get world position of this dot
-        const worldPos = new THREE.Vector3();
-        child.getWorldPosition(worldPos);
-
-        // Determine which face this dot is on based on its world position
-        if (worldPos.x > threshold) faceDots['+x'].push(child.userData.colorHex);
-        else if (worldPos.x < -threshold) faceDots['-x'].push(child.userData.colorHex);
-        else if (worldPos.y > threshold) faceDots['+y'].push(child.userData.colorHex);
-        else if (worldPos.y < -threshold) faceDots['-y'].push(child.userData.colorHex);
-        else if (worldPos.z > threshold) faceDots['+z'].push(child.userData.colorHex);
-        else if (worldPos.z < -threshold) faceDots['-z'].push(child.userData.colorHex);
+  // CSS variables (--why-color, --why-bg, ...) come from the theme too
+  function applyThemeCss(pack) {
+    const style = host.style;
+    style.setProperty('--default-bg', pack.defaults.background);
+    pack.faces.forEach((face, i) => {
+      style.setProperty(`--${FACE_SLUGS[i]}-color`, face.accentColor);
+      style.setProperty(`--${FACE_SLUGS[i]}-bg`, face.background);
+    });
+  }
+
+  // Nav labels, with the question mark in black as designed. With slots the
+  // theme's label is the fallback for a slotted one.
+  function renderNavLabels(pack) {
+    navButtons.forEach((btn, i) => {
+      const target = btn.querySelector('slot') || btn;
+      const name = pack.faces[i].name;
+      const mark = name.endsWith('?') ? '?' : '';
+      target.textContent = name.slice(0, name.length - mark.length);
+      if (mark) {
+        const span = document.createElement('span');
+        span.style.color = 'black';
+        span.textContent = mark;
+        target.appendChild(span);
       }
     });
   }
 
-  // Check each face has 9 dots of the same color
-  for (const [face, colors] of Object.entries(faceDots)) {
-    if (colors.length !== 9) {
-      return false; // Not all dots found
+  // Sticker dots keep the face they started on, so recolor by that face
+  function recolorDots(pack) {
+    smallCubes.forEach((cube) => {
+      cube.children.filter(child => child.userData.isDot).forEach((dot) => {
+        dot.userData.colorHex = pack.faces[dot.userData.faceIndex].stickerColor;
+        dot.children[0].material.color.setHex(dot.userData.colorHex);
+      });
+    });
+  }
+
+  // Swapping packs restyles everything in place - the cube doesn't turn
+  themes.onChange((pack) => {
+    applyThemeCss(pack);
+    renderNavLabels(pack);
+    recolorDots(pack);
+    if (faceSkin !== 'none') setFaceSkin(faceSkin);
+    if (introComplete) applyFaceTheme(currentFace);
+  });
+
+  applyThemeCss(themes.current);
+  renderNavLabels(themes.current);
+
+  // Nav button handlers
+  navButtons.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const faceIndex = parseInt(btn.dataset.face);
+      navigateToFace(faceIndex);
+    }, { signal });
+  });
+
+  // Time on a face stops while the page is hidden, and queued analytics go out
+  // in case it is being closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      trackFace('leave', currentFace);
+      analytics.flush({ beacon: true });
+    } else {
+      trackFace('enter', currentFace);
     }
-    const firstColor = colors[0];
-    if (!colors.every(c => c === firstColor)) {
-      return false; // Not all same color
+  }, { signal });
+
+  // Double-click/tap to open content
+  let lastTap = 0;
+  container.addEventListener('click', (e) => {
+    // The click that ends a slice turn isn't a tap
+    if (suppressNextTap) {
+      suppressNextTap = false;
+      lastTap = 0;
+      return;
     }
+
+    const now = Date.now();
+    if (now - lastTap < 300 && currentFace >= 0) {
+      // Double tap - show content
+      showContent(currentFace);
+    }
+    lastTap = now;
+  }, { signal });
+
+  // ============================================
+  // CONTENT OVERLAY
+  // ============================================
+  const overlay = root.getElementById('content-overlay');
+  const contentInner = root.getElementById('content-inner');
+  const closeBtn = root.getElementById('close-content');
+
+  // Where focus was before the overlay opened, to put it back on close
+  let contentReturnFocus = null;
+  // Bumped on every open so a slow load can't replace newer content
+  let contentRequest = 0;
+
+  function showContentMessage(className, message, { retryFace = -1, role = 'status' } = {}) {
+    const box = document.createElement('div');
+    box.className = `content-message ${className}`;
+    box.setAttribute('role', role);
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    box.appendChild(text);
+
+    if (retryFace >= 0) {
+      const retry = document.createElement('button');
+      retry.textContent = 'Try again';
+      retry.addEventListener('click', () => loadContentInto(retryFace), { signal });
+      box.appendChild(retry);
+    }
+
+    contentInner.replaceChildren(box);
+    contentInner.setAttribute('aria-busy', String(className === 'loading'));
   }
 
-  return true; // All faces solved!
-}
+  // A <slot> for the face's content, if the element was given some
+  function slottedContent(faceIndex) {
+    if (!options.slots) return null;
+    const slug = FACE_SLUGS[faceIndex];
+    if (!host.querySelector(`:scope > [slot="${slug}"]`)) return null;
+    const slot = document.createElement('slot');
+    slot.name = slug;
+    return slot;
+  }
 
-let hasBeenMixed = false;
+  async function loadContentInto(faceIndex) {
+    const request = ++contentRequest;
+    const slot = slottedContent(faceIndex);
+    if (slot) {
+      contentInner.replaceChildren(slot);
+      contentInner.setAttribute('aria-busy', 'false');
+      return;
+    }
+    showContentMessage('loading', 'Loading…');
+
+    try {
+      const content = await contentLoader.load(FACE_SLUGS[faceIndex]);
+      if (request !== contentRequest) return;
+      contentInner.replaceChildren(renderContent(content, { className: FACE_SLUGS[faceIndex] }));
+      contentInner.setAttribute('aria-busy', 'false');
+    } catch (error) {
+      if (request !== contentRequest) return;
+      console.error('Content failed to load:', error);
+      const message = error instanceof ContentError ? error.message : 'Something went wrong.';
+      showContentMessage('error', `This content couldn't be shown. ${message}`, { retryFace: faceIndex, role: 'alert' });
+    }
+  }
 
-function checkForSolve() {
-  if (!hasBeenMixed) {
-    hasBeenMixed = true; // First move mixes it
-    return false;
+  function showContent(faceIndex, { updateUrl = true } = {}) {
+    overlay.setAttribute('aria-label', faceName(faceIndex));
+    if (overlay.classList.contains('hidden')) {
+      contentReturnFocus = root.activeElement;
+      contentOpened = { face: faceIndex, at: performance.now() };
+      analytics.track('content:open', { face: faceIndex, slug: FACE_SLUGS[faceIndex] });
+    }
+    overlay.classList.remove('hidden');
+    closeBtn.focus();
+    if (updateUrl) setRoute({ face: faceIndex, content: true });
+
+    loadContentInto(faceIndex);
+    emit('contentopen', { face: faceIndex, slug: FACE_SLUGS[faceIndex] });
+  }
+
+  function hideContent() {
+    if (overlay.classList.contains('hidden')) return;
+    overlay.classList.add('hidden');
+
+    const { face, at } = contentOpened;
+    analytics.track('content:close', { face, slug: FACE_SLUGS[face], duration: Math.round(performance.now() - at) });
+    contentOpened = null;
+
+    // Nothing to go back to (or it's gone) - the selected tab is the next best place
+    const target = contentReturnFocus?.isConnected ? contentReturnFocus : navButtons[Math.max(currentFace, 0)];
+    contentReturnFocus = null;
+    target.focus();
+  }
+
+  // Closing from the page steps back out of the #/face/content entry
+  function closeContent() {
+    if (overlay.classList.contains('hidden')) return;
+    hideContent();
+
+    if (contentEntryPushed) {
+      contentEntryPushed = false;
+      history.back(); // popstate lands on the face entry, which is already showing
+      return;
+    }
+    const route = parseRoute();
+    if (route.content) setRoute({ face: route.face, content: false }, { replace: true });
   }
 
-  if (checkIfSolved()) {
-    // Cube is solved! Toggle dark mode
-    isDarkMode = !isDarkMode;
-    document.body.classList.toggle('dark-mode', isDarkMode);
+  closeBtn.addEventListener('click', closeContent, { signal });
 
-    // Reset materials to default when solved
-    if (isDarkMode) {
-      applyMaterialPreset(-1); // Apply default material
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      closeContent();
     }
+  }, { signal });
+
+  // ============================================
+  // KEYBOARD & SCREEN READERS
+  // ============================================
+  const announcer = root.getElementById('announcer');
+
+  // Face name as shown in the nav ("Who?"), slotted label included
+  function faceName(faceIndex) {
+    const slot = navButtons[faceIndex].querySelector('slot');
+    const assigned = slot ? slot.assignedNodes() : [];
+    const nodes = assigned.length > 0 ? assigned : [navButtons[faceIndex]];
+    return nodes.map(node => node.textContent).join('').trim();
+  }
 
-    hasBeenMixed = false; // Reset so next solve can trigger
-    console.log('🎉 Cube solved! Dark mode:', isDarkMode);
-    return true;
+  // Controller listeners (on/off) and DOM events for whoever embeds the site
+  const siteListeners = new Map(); // type -> Set of listeners
+
+  function emit(type, detail) {
+    siteListeners.get(type)?.forEach(listener => listener(detail));
+    host.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
   }
-  return false;
-}
 
-// ============================================
-// DRAG CONTROLS (Whole cube rotation)
-// ============================================
-let isDragging = false;
-let previousMousePosition = { x: 0, y: 0 };
-let targetRotation = { x: 0, y: 0 };
-let currentRotation = { x: 0, y: 0 };
-let velocity = { x: 0, y: 0 };
-let autoRotate = false;
+  // Read a message out through the aria-live region
+  function announce(message) {
+    // Clear first so the same message twice is still announced
+    announcer.textContent = '';
+    nextFrame(() => {
+      announcer.textContent = message;
+    });
+  }
+
+  // Keep Tab and Shift+Tab inside the open overlay
+  function trapFocus(e) {
+    const focusable = [...overlay.querySelectorAll('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+      .filter(el => !el.disabled);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && root.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (root.activeElement === last || !overlay.contains(root.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Arrow keys step between faces, 1-6 jump to one, Enter opens it, Escape closes it.
+  // Keys are heard on root, so an embedded site only takes them while it has focus.
+  root.addEventListener('keydown', (e) => {
+    if (!overlay.classList.contains('hidden')) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeContent();
+      } else if (e.key === 'Tab') {
+        trapFocus(e);
+      }
+      return;
+    }
+
+    if (!introComplete || e.ctrlKey || e.metaKey || e.altKey) return;
+    // Form fields keep their own keys
+    if (e.target.closest('input, textarea, select')) return;
+
+    const faceCount = navButtons.length;
+    let faceIndex = null;
+
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      faceIndex = currentFace < 0 ? 0 : (currentFace + 1) % faceCount;
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      faceIndex = currentFace < 0 ? faceCount - 1 : (currentFace - 1 + faceCount) % faceCount;
+    } else if (/^[1-6]$/.test(e.key)) {
+      faceIndex = Number(e.key) - 1;
+    } else if (e.key === 'Enter' && currentFace >= 0) {
+      // Enter on another button is that button's click
+      const onButton = e.target.closest('button');
+      if (onButton && onButton !== navButtons[currentFace]) return;
+      e.preventDefault();
+      showContent(currentFace);
+      return;
+    }
 
-// Raycaster for detecting clicks on cube (for double-tap content)
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
+    if (faceIndex === null || faceIndex === currentFace) return;
+    e.preventDefault();
 
-function getIntersectedCube(e) {
-  mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    // Roving focus: when a tab has focus, focus follows the selection
+    if (e.target.closest('#nav')) navButtons[faceIndex].focus();
+    navigateToFace(faceIndex);
+  }, { signal });
+
+  // ============================================
+  // ROUTING - #/who and #/who/content deep links with back/forward
+  // ============================================
+  // True while the open overlay has its own history entry, so closing it can step back
+  let contentEntryPushed = false;
+
+  // { face, content } for a hash like #/who/content (face is -1 when none is linked).
+  // Without routing the URL is left alone and there is never a linked face.
+  function parseRoute(hash = routing ? window.location.hash : '') {
+    const [slug = '', view = ''] = hash.replace(/^#\/?/, '').toLowerCase().split('/');
+    const face = FACE_SLUGS.indexOf(slug);
+    return { face, content: face >= 0 && view === 'content' };
+  }
 
-  raycaster.setFromCamera(mouse, camera);
+  function routeHash({ face, content }) {
+    if (face < 0) return '#/';
+    return `#/${FACE_SLUGS[face]}${content ? '/content' : ''}`;
+  }
 
-  // Only check the cube meshes themselves, not children (faster)
-  const intersects = raycaster.intersectObjects(smallCubes, false);
+  function setRoute(route, { replace = false } = {}) {
+    if (!routing) return;
+    const hash = routeHash(route);
+    if (hash === window.location.hash) return;
 
-  if (intersects.length > 0) {
-    return { cube: intersects[0].object, point: intersects[0].point, face: intersects[0].face };
+    if (replace) {
+      history.replaceState(null, '', hash);
+    } else {
+      history.pushState(null, '', hash);
+    }
+    contentEntryPushed = route.content && !replace;
   }
 
-  // Also check children if direct check missed (for wireframes/dots clicked)
-  const intersectsDeep = raycaster.intersectObjects(smallCubes, true);
-  if (intersectsDeep.length > 0) {
-    let obj = intersectsDeep[0].object;
-    while (obj && !smallCubes.includes(obj)) {
-      obj = obj.parent;
+  // Bring the page in line with a route without touching the URL
+  async function applyRoute(route, { turn = true } = {}) {
+    if (!route.content) hideContent();
+    if (route.face < 0) return;
+
+    if (route.face !== currentFace) {
+      await navigateToFace(route.face, { updateUrl: false, turn });
     }
-    if (obj) {
-      return { cube: obj, point: intersectsDeep[0].point, face: intersectsDeep[0].face };
+    if (route.content && overlay.classList.contains('hidden')) {
+      showContent(route.face, { updateUrl: false });
     }
   }
 
-  return null;
-}
+  // The face the URL links to, otherwise the saved cube's face, otherwise the face option
+  function initialRoute() {
+    const route = parseRoute();
+    if (route.face >= 0) return route;
+    const face = startingCube?.face >= 0 ? startingCube.face : FACE_SLUGS.indexOf(options.face);
+    return { face, content: false };
+  }
 
-container.addEventListener('pointerdown', (e) => {
-  if (isAnimating || !introComplete) return;
-
-  previousMousePosition = { x: e.clientX, y: e.clientY };
-  velocity = { x: 0, y: 0 };
-
-  // Enable dragging anywhere on screen
-  isDragging = true;
-});
-
-container.addEventListener('pointermove', (e) => {
-  if (!isDragging) return;
-
-  const deltaX = e.clientX - previousMousePosition.x;
-  const deltaY = e.clientY - previousMousePosition.y;
-
-  // Rotate whole cube
-  targetRotation.y += deltaX * 0.005;
-  targetRotation.x += deltaY * 0.005;
-
-  velocity.x = deltaY * 0.005;
-  velocity.y = deltaX * 0.005;
-
-  previousMousePosition = { x: e.clientX, y: e.clientY };
-});
-
-container.addEventListener('pointerup', () => {
-  isDragging = false;
-});
-
-container.addEventListener('pointerleave', () => {
-  isDragging = false;
-});
-
-// ============================================
-// FACE NAVIGATION
-// ============================================
-// Face rotations (euler angles to show each face forward)
-const faceRotations = [
-  { x: 0, y: -Math.PI / 2 },      // 0: +X (Shop)
-  { x: 0, y: Math.PI / 2 },       // 1: -X (Experience)
-  { x: -Math.PI / 2, y: 0 },      // 2: +Y (News)
-  { x: Math.PI / 2, y: 0 },       // 3: -Y (About)
-  { x: 0, y: 0 },                 // 4: +Z (Contact)
-  { x: 0, y: Math.PI },           // 5: -Z (Portfolio)
-];
-
-let currentFace = -1;
-
-// Map face index to CSS variable names
-const faceColorVars = [
-  '--why-color',
-  '--what-color',
-  '--how-color',
-  '--where-color',
-  '--when-color',
-  '--who-color'
-];
-
-// Map face index to background gradient variable names
-const faceBgVars = [
-  '--why-bg',
-  '--what-bg',
-  '--how-bg',
-  '--where-bg',
-  '--when-bg',
-  '--who-bg'
-];
-
-// Material configurations for each category
-const materialPresets = {
-  0: { // Why? - Deep Blue Glass
-    color: 0x4444ff,
-    opacity: 0.5,
-    transparent: true,
-    roughness: 0.0,
-    metalness: 0.0,
-    clearcoat: 1.0,
-    transmission: 0.0
-  },
-  1: { // What? - Almost Invisible
-    color: 0xffffff,
-    opacity: 0.05,
-    transparent: true,
-    roughness: 0.0,
-    metalness: 0.0,
-    clearcoat: 0.3,
-    transmission: 0.0
-  },
-  2: { // How? - Red Chrome Metal
-    color: 0xff2222,
-    opacity: 0.9,
-    transparent: true,
-    roughness: 0.1,
-    metalness: 1.0,
-    clearcoat: 1.0,
-    transmission: 0.0,
-    emissive: 0x000000,
-    emissiveIntensity: 0.0
-  },
-  3: { // Where? - Solid Orange Matte
-    color: 0xff8800,
-    opacity: 1.0,
-    transparent: false,
-    roughness: 1.0,
-    metalness: 0.0,
-    clearcoat: 0.0,
-    transmission: 0.0
-  },
-  4: { // When? - Bright Glowing Yellow
-    color: 0xffff00,
-    opacity: 1.0,
-    transparent: false,
-    roughness: 0.2,
-    metalness: 0.0,
-    clearcoat: 0.5,
-    transmission: 0.0,
-    emissive: 0xffaa00,
-    emissiveIntensity: 0.5
-  },
-  5: { // Who? - Grey Metal
-    color: 0x888888,
-    opacity: 1.0,
-    transparent: false,
-    roughness: 0.5,
-    metalness: 1.0,
-    clearcoat: 0.3,
-    transmission: 0.0,
-    emissive: 0x000000,
-    emissiveIntensity: 0.0
-  }
-};
-
-// Default material settings
-const defaultMaterial = {
-  color: 0xffffff,
-  opacity: 0.3, // Increased from 0.15 to make visible at launch
-  transparent: true,
-  roughness: 0.1,
-  metalness: 0.1,
-  clearcoat: 0.3,
-  transmission: 0.0,
-  emissive: 0x000000,
-  emissiveIntensity: 0,
-  iridescence: 0,
-  iridescenceIOR: 1.3
-};
-
-// Function to apply material preset to all cube pieces
-function applyMaterialPreset(presetIndex) {
-  const preset = presetIndex >= 0 ? materialPresets[presetIndex] : defaultMaterial;
-
-  console.log('Applying material preset:', presetIndex, preset);
-
-  smallCubes.forEach((cube, idx) => {
-    const mat = cube.material;
-
-    // Log first cube material properties before change
-    if (idx === 0) {
-      console.log('Before - First cube material:', {
-        color: mat.color.getHex(),
-        opacity: mat.opacity,
-        roughness: mat.roughness,
-        metalness: mat.metalness,
-        transmission: mat.transmission
-      });
+  // Back/forward (and hand-edited hashes) move between faces and close the overlay
+  if (routing) {
+    window.addEventListener('popstate', () => {
+      contentEntryPushed = false;
+      applyRoute(parseRoute());
+    }, { signal });
+  }
+
+  // ============================================
+  // SOLVE - Unwind the move history or run the two-phase solver
+  // ============================================
+  const solveButton = root.getElementById('solve-button');
+  const solveModeSelect = root.getElementById('solve-mode');
+
+  // Merge consecutive turns of the same layers and drop the ones that cancel out
+  function simplifyHistory(history) {
+    const result = [];
+    for (const move of history) {
+      const last = result[result.length - 1];
+      if (last && last.axis === move.axis && String(last.index) === String(move.index)) {
+        const turns = (((last.direction + move.direction) % 4) + 4) % 4;
+        if (turns === 0) {
+          result.pop();
+        } else {
+          last.direction = turns === 3 ? -1 : turns;
+        }
+      } else {
+        result.push({ ...move });
+      }
     }
+    return result;
+  }
 
-    // Set transparency mode based on preset
-    mat.transparent = preset.transparent !== undefined ? preset.transparent : true;
-
-    // Update all material properties
-    mat.color.setHex(preset.color);
-    mat.opacity = preset.opacity;
-    mat.roughness = preset.roughness;
-    mat.metalness = preset.metalness;
-    mat.clearcoat = preset.clearcoat;
-
-    // Transmission properties
-    mat.transmission = preset.transmission || 0;
-    mat.thickness = 1.0;
-    mat.ior = 1.5;
-
-    // Emissive properties
-    mat.emissive.setHex(preset.emissive || 0x000000);
-    mat.emissiveIntensity = preset.emissiveIntensity || 0;
-
-    // Iridescence (if supported)
-    if (mat.iridescence !== undefined) {
-      mat.iridescence = preset.iridescence || 0;
-      mat.iridescenceIOR = preset.iridescenceIOR || 1.3;
+  // Animate the cube back to solved.
+  // 'unwind' plays the recorded history backwards; 'solver' finds a fresh solution
+  // from the current state (3x3 only - other sizes fall back to unwinding).
+  async function solveCube(mode = 'solver') {
+    if (!introComplete) return;
+
+    // Drop queued turns and let the playing one finish so the state is settled
+    moveQueue.cancel();
+    await moveQueue.idle();
+
+    // A machine solve doesn't count as a timed solve
+    cancelTimedSolve();
+
+    let turns;
+    if (mode === 'solver' && SEGMENTS === 3) {
+      turns = solve(cubeState).map(move => moveToTurn(move, SEGMENTS));
+    } else if (!historyFromSolved) {
+      // Unwinding would only get back to the restored cube
+      announce(SEGMENTS === 3
+        ? "Unwind can't solve a restored cube. Switch to Solver to solve it."
+        : `There's no solver for ${SEGMENTS}x${SEGMENTS} and this restored cube has no history to unwind.`);
+      return;
+    } else {
+      turns = simplifyHistory(moveHistory).reverse().map(({ axis, index, direction }) => (
+        { axis, layers: index, quarterTurns: -direction }
+      ));
     }
 
-    mat.needsUpdate = true;
+    // Solving turns are recorded like any other, so cancelling halfway leaves a usable history
+    try {
+      await Promise.all(turns.map(({ axis, layers, quarterTurns }) => rotateSlice(axis, layers, quarterTurns, true, 'solve')));
+    } catch (error) {
+      if (error instanceof MoveCancelledError) return;
+      throw error;
+    }
 
-    // Log first cube material properties after change
-    if (idx === 0) {
-      console.log('After - First cube material:', {
-        color: mat.color.getHex(),
-        opacity: mat.opacity,
-        roughness: mat.roughness,
-        metalness: mat.metalness,
-        transmission: mat.transmission
-      });
+    // Solved is the new starting point. This isn't the player's solve, so no dark-mode reward.
+    moveHistory = [];
+    redoStack = [];
+    historyFromSolved = true;
+    updateUndoButtons();
+    hasBeenMixed = false;
+    scheduleSave();
+  }
+
+  solveButton.addEventListener('click', async () => {
+    solveButton.disabled = true;
+    solveButton.textContent = 'Solving…';
+    // Let the label paint, in case the solver's tables are still to be built
+    await new Promise(resolve => later(resolve, 30));
+
+    try {
+      await solveCube(solveModeSelect.value);
+    } finally {
+      solveButton.disabled = false;
+      solveButton.textContent = 'Solve';
     }
-  });
+  }, { signal });
+
+  // ============================================
+  // SCRAMBLE - Seeded random-state or random-move scrambles
+  // ============================================
+  const scrambleButton = root.getElementById('scramble-button');
+  const scrambleSeedInput = root.getElementById('scramble-seed');
+  const scrambleTypeSelect = root.getElementById('scramble-type');
+  const scrambleText = root.getElementById('scramble-text');
+  const cubeSizeSelect = root.getElementById('cube-size');
+
+  // Put every cubie back home instantly (no animation) and forget the history
+  function resetCube() {
+    cubeState.reset();
+    smallCubes.forEach(syncCubeMesh);
+    moveHistory = [];
+    redoStack = [];
+    historyFromSolved = true;
+    updateUndoButtons();
+    scheduleSave();
+  }
 
-  console.log('Material preset applied to', smallCubes.length, 'cubes');
-}
+  function showScramble(scramble) {
+    scrambleText.textContent = `Seed ${scramble.seed}: ${scramble.text}`;
+    scrambleText.classList.remove('hidden');
+  }
+
+  // Scramble the cube from a seed (a fresh seed is picked when none is given).
+  // Resolves with the scramble once it has played.
+  async function scrambleCube({ seed, type = 'random-state' } = {}) {
+    if (!introComplete) return null;
+
+    // Drop queued turns and let the playing one finish so the state is settled
+    moveQueue.cancel();
+    await moveQueue.idle();
 
-async function navigateToFace(faceIndex) {
-  if (isAnimating || !introComplete) return;
+    const scramble = generateScramble({ seed: seed || undefined, type, size: SEGMENTS });
+    cancelTimedSolve();
 
-  autoRotate = false;
-  velocity = { x: 0, y: 0 }; // Stop any momentum
+    // Always scramble from solved so a seed gives the same state every time
+    resetCube();
+    showScramble(scramble);
 
-  // Perform the slice rotation
-  const move = faceToMove[faceIndex];
-  if (move) {
-    await rotateSlice(move.axis, move.index, move.direction, false);
+    try {
+      await runAlgorithm(scramble.moves, true, 'scramble');
+    } catch (error) {
+      if (error instanceof MoveCancelledError) return scramble;
+      throw error;
+    }
+
+    hasBeenMixed = true; // The next time the cube is solved counts as a solve
+    analytics.track('scramble', { seed: scramble.seed, type, size: SEGMENTS, moves: scramble.moves.length });
+    if (timerEnabled) startInspection(scramble);
+    return scramble;
   }
 
-  // Check if cube is now solved (after animation completes)
-  setTimeout(() => checkForSolve(), 50);
+  scrambleButton.addEventListener('click', async () => {
+    scrambleButton.disabled = true;
+    // Let the label paint before a random-state scramble runs the solver
+    await new Promise(resolve => later(resolve, 30));
 
-  // Change background to match category (supports both gradients and solid colors)
-  const bgVar = faceBgVars[faceIndex];
-  const bgValue = getComputedStyle(document.documentElement).getPropertyValue(bgVar).trim();
-  document.body.style.background = bgValue;
+    try {
+      const scramble = await scrambleCube({
+        seed: scrambleSeedInput.value.trim(),
+        type: scrambleTypeSelect.value
+      });
+      if (scramble) scrambleSeedInput.placeholder = scramble.seed;
+    } finally {
+      scrambleButton.disabled = false;
+    }
+  }, { signal });
 
-  // Update THREE.js scene background - use transparent for gradients, solid for colors
-  if (bgValue.includes('linear-gradient')) {
-    // For gradients, make scene background transparent so CSS gradient shows through
-    scene.background = null;
-  } else {
-    // For solid colors, set scene background
-    const colorMatch = bgValue.match(/#[0-9a-fA-F]{6}/);
-    if (colorMatch) {
-      scene.background = new THREE.Color(colorMatch[0]);
+  // ============================================
+  // CUBE SIZE - 2x2 up to 7x7, picked at runtime or with ?size=
+  // ============================================
+
+  // Rebuild the cube at another size. It starts solved.
+  async function setCubeSize(segments) {
+    if (!introComplete || segments === SEGMENTS) return false;
+    if (segments < MIN_SEGMENTS || segments > MAX_SEGMENTS) {
+      throw new RangeError(`Cube size must be ${MIN_SEGMENTS} to ${MAX_SEGMENTS}, got ${segments}`);
     }
+
+    // Drop queued turns and let the playing one finish before the meshes go away
+    moveQueue.cancel();
+    await moveQueue.idle();
+    cancelTimedSolve();
+
+    disposeCube();
+    buildCube(segments);
+    resetCube();
+    hasBeenMixed = false;
+    scrambleText.classList.add('hidden');
+
+    // New meshes start with the default material - match the face being shown
+    applyMaterialPreset(currentFace, { duration: 0 });
+    applyFaceBloom(currentFace);
+    applyQualityTier(quality.current);
+    return true;
   }
 
-  // Apply material preset for this category
-  applyMaterialPreset(faceIndex);
+  cubeSizeSelect.value = String(SEGMENTS);
+  cubeSizeSelect.addEventListener('change', async () => {
+    await setCubeSize(parseInt(cubeSizeSelect.value, 10));
+    cubeSizeSelect.value = String(SEGMENTS); // Snap back if the change was refused
+  }, { signal });
+
+  // ============================================
+  // UNDO / REDO - Step back and forward through recorded turns
+  // ============================================
+  const undoButton = root.getElementById('undo-button');
+  const redoButton = root.getElementById('redo-button');
+
+  function updateUndoButtons() {
+    undoButton.disabled = moveHistory.length === 0;
+    redoButton.disabled = redoStack.length === 0;
+  }
 
-  // Toggle stars and meteor shower for Why (night sky) section
-  stars.visible = faceIndex === 0;
-  if (faceIndex === 0 && !meteorShowerActive) {
-    meteorShowerActive = true;
-    spawnShootingStars();
-  } else if (faceIndex !== 0 && meteorShowerActive) {
-    meteorShowerActive = false;
+  // Undo and redo are queued like any turn. The history is read when the job
+  // runs, so turns still waiting in the queue are undone in the right order.
+  // Stepping back through the scramble isn't solving it, so either one abandons
+  // a timed attempt instead of letting it finish.
+  function undoTurn() {
+    return moveQueue.enqueue((turn) => {
+      const move = moveHistory.pop();
+      if (!move) return;
+      cancelTimedSolve();
+      redoStack.push(move);
+      updateUndoButtons();
+      return playTurn(turn, move.axis, move.index, -move.direction, 'undo');
+    }).then(() => checkForSolve());
   }
 
-  // Smoothly rotate the whole cube to show the face
-  targetRotation = { ...faceRotations[faceIndex] };
-  currentFace = faceIndex;
+  function redoTurn() {
+    return moveQueue.enqueue((turn) => {
+      const move = redoStack.pop();
+      if (!move) return;
+      cancelTimedSolve();
+      moveHistory.push(move);
+      updateUndoButtons();
+      return playTurn(turn, move.axis, move.index, move.direction, 'redo');
+    }).then(() => checkForSolve());
+  }
 
-  // Update active nav button
-  document.querySelectorAll('#nav button').forEach((btn, i) => {
-    btn.classList.toggle('active', i === faceIndex);
-  });
-}
+  function ignoreCancelled(error) {
+    if (!(error instanceof MoveCancelledError)) throw error;
+  }
 
-// Nav button handlers
-document.querySelectorAll('#nav button').forEach((btn) => {
-  btn.addEventListener('click', () => {
-    const faceIndex = parseInt(btn.dataset.face);
-    navigateToFace(faceIndex);
-  });
-});
-
-// Double-click/tap to open content
-let lastTap = 0;
-container.addEventListener('click', (e) => {
-  const now = Date.now();
-  if (now - lastTap < 300 && currentFace >= 0) {
-    // Double tap - show content
-    showContent(currentFace);
-  }
-  lastTap = now;
-});
-
-// ============================================
-// CONTENT OVERLAY
-// ============================================
-const overlay = document.getElementById('content-overlay');
-const contentInner = document.getElementById('content-inner');
-const closeBtn = document.getElementById('close-content');
-
-function showContent(faceIndex) {
-  const template = document.getElementById(`face-${faceIndex}-content`);
-  if (template) {
-    contentInner.innerHTML = '';
-    contentInner.appendChild(template.content.cloneNode(true));
-    overlay.classList.remove('hidden');
+  undoButton.addEventListener('click', () => {
+    if (introComplete) undoTurn().catch(ignoreCancelled);
+  }, { signal });
+
+  redoButton.addEventListener('click', () => {
+    if (introComplete) redoTurn().catch(ignoreCancelled);
+  }, { signal });
+
+  // Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Ctrl+Y to redo
+  root.addEventListener('keydown', (e) => {
+    if (!introComplete || !(e.ctrlKey || e.metaKey)) return;
+    // Leave text fields their own undo
+    if (e.target.closest('input, textarea, select')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoTurn().catch(ignoreCancelled);
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoTurn().catch(ignoreCancelled);
+    }
+  }, { signal });
+
+  updateUndoButtons();
+
+  // ============================================
+  // SAVE & SHARE - The cube outlives a reload and travels in ?cube= links
+  // ============================================
+  const shareButton = root.getElementById('share-button');
+  const SAVE_DELAY = 300;
+  let saveTimer = null;
+
+  // Put the shared or saved cube in place instantly
+  function restoreCube() {
+    if (sharedCubeRejected) announce('That cube link is broken, so the cube starts solved.');
+    if (!startingCube) return false;
+
+    // The meshes hold on to cubeState's cubies, so they are updated in place
+    startingCube.state.cubies.forEach((cubie, i) => {
+      cubeState.cubies[i].position = cubie.position.slice();
+      cubeState.cubies[i].rotation = cubie.rotation.slice();
+    });
+    smallCubes.forEach(syncCubeMesh);
+    moveHistory = [];
+    redoStack = [];
+    updateUndoButtons();
+    hasBeenMixed = !checkIfSolved();
+    historyFromSolved = !hasBeenMixed;
+
+    if (startingCube.darkMode) {
+      isDarkMode = true;
+      host.classList.add('dark-mode');
+    }
+
+    // The link has done its job - a reload should bring back the saved cube, not this one
+    if (sharedCube && routing && params.has('cube')) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete('cube');
+      history.replaceState(history.state, '', url);
+    }
+    scheduleSave();
+    return true;
   }
-}
 
-closeBtn.addEventListener('click', () => {
-  overlay.classList.add('hidden');
-});
+  function saveCube() {
+    cancelLater(saveTimer);
+    saveTimer = null;
+    if (!persistKey || !introComplete) return;
+
+    const saved = {
+      code: encodeShare(cubeState),
+      darkMode: isDarkMode,
+      face: currentFace,
+    };
+    try {
+      localStorage.setItem(persistKey, JSON.stringify(saved));
+    } catch {
+      // Private mode or quota - the cube lasts for this visit
+    }
+  }
 
-overlay.addEventListener('click', (e) => {
-  if (e.target === overlay) {
-    overlay.classList.add('hidden');
+  // Turns come in bursts, so saves wait for a quiet moment
+  function scheduleSave() {
+    cancelLater(saveTimer);
+    saveTimer = later(saveCube, SAVE_DELAY);
   }
-});
 
-// ============================================
-// ANIMATION LOOP
-// ============================================
-let lastTime = performance.now();
+  onTurn('end', scheduleSave);
 
-function animate() {
-  requestAnimationFrame(animate);
+  // A save still waiting goes out before the page does
+  window.addEventListener('pagehide', () => {
+    if (saveTimer !== null) saveCube();
+  }, { signal });
 
-  const now = performance.now();
-  const deltaTime = Math.min((now - lastTime) / 1000, 0.1); // Cap at 100ms to prevent huge jumps
-  lastTime = now;
+  // Link to this page with the cube in ?cube=. Turns still queued play first so
+  // the link matches what's shown.
+  async function shareLink() {
+    await moveQueue.idle();
+    const url = new URL(window.location.href);
+    url.searchParams.set('cube', encodeShare(cubeState));
+    return url.href;
+  }
 
-  // Smooth rotation interpolation - use delta time for consistent speed
-  const lerpFactor = 1 - Math.pow(0.001, deltaTime); // Approximately 0.1 at 60fps
+  // Copy the link when the clipboard allows it. Resolves with the link.
+  async function shareCube() {
+    if (!introComplete) return null;
+
+    const link = await shareLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      announce('Link to this cube copied.');
+    } catch {
+      announce('Link to this cube is ready, but the clipboard is unavailable.');
+    }
+    return link;
+  }
 
-  // Apply momentum when not dragging
-  if (!isDragging) {
-    targetRotation.x += velocity.x;
-    targetRotation.y += velocity.y;
-    const damping = Math.pow(0.05, deltaTime); // Frame-rate independent damping
-    velocity.x *= damping;
-    velocity.y *= damping;
+  shareButton.addEventListener('click', () => {
+    shareCube();
+  }, { signal });
+
+  // ============================================
+  // TIMER - Inspection starts after a scramble, the first turn starts the clock
+  // ============================================
+  const timer = createTimer();
+  let timerEnabled = false;
+  let inspectionTimeout = null;
+  let timerFrame = null;
+
+  const timerToggle = root.getElementById('timer-toggle');
+  const timerPanel = root.getElementById('timer');
+  const timerDisplay = root.getElementById('timer-display');
+  const timerStats = root.getElementById('timer-stats');
+
+  function renderTimerStats() {
+    const { count, best, ao5, ao12 } = timer.stats();
+    const last = timer.solves[timer.solves.length - 1];
+    timerStats.innerHTML = '';
+
+    [
+      ['Solves', count],
+      ['Last', last ? formatTime(last.penalty === 'DNF' ? Infinity : last.time) + (last.penalty === '+2' ? '+' : '') : '-'],
+      ['Best', formatTime(best)],
+      ['ao5', formatTime(ao5)],
+      ['ao12', formatTime(ao12)],
+    ].forEach(([label, value]) => {
+      const row = document.createElement('div');
+      row.textContent = `${label}: ${value}`;
+      timerStats.appendChild(row);
+    });
   }
 
-  currentRotation.x += (targetRotation.x - currentRotation.x) * lerpFactor;
-  currentRotation.y += (targetRotation.y - currentRotation.y) * lerpFactor;
+  // Redraw the clock every frame while inspecting or solving
+  function renderTimerDisplay() {
+    timerFrame = null;
+
+    if (timer.state === 'inspecting') {
+      const elapsed = timer.elapsed();
+      if (elapsed <= INSPECTION_TIME) {
+        timerDisplay.textContent = String(Math.ceil((INSPECTION_TIME - elapsed) / 1000));
+      } else {
+        timerDisplay.textContent = elapsed <= INSPECTION_LIMIT ? '+2' : 'DNF';
+      }
+    } else if (timer.state === 'running') {
+      timerDisplay.textContent = formatTime(timer.elapsed());
+    }
 
-  cubeGroup.rotation.x = currentRotation.x;
-  cubeGroup.rotation.y = currentRotation.y;
+    timerPanel.classList.toggle('inspecting', timer.state === 'inspecting');
+    timerPanel.classList.toggle('running', timer.state === 'running');
 
-  // Animate Knight Rider tracing effect on wireframes
-  const traceSpeed = 0.5; // Speed of the pulse
-  smallCubes.forEach(cube => {
-    if (cube.userData.traceWireframe) {
-      const traceMat = cube.userData.traceWireframe.material;
-      // Animate dashOffset to create moving pulse effect
-      traceMat.dashOffset = -(now * 0.001 * traceSpeed + cube.userData.traceOffset);
+    if (timer.state !== 'idle') {
+      timerFrame = nextFrame(renderTimerDisplay);
     }
-  });
+  }
 
-  // Animate twinkling stars
-  if (stars.visible) {
-    const time = now * 0.001; // Convert to seconds
-    const dummy = new THREE.Object3D();
+  function startInspection(scramble) {
+    timer.startInspection(scramble.text);
 
-    for (let i = 0; i < starCount; i++) {
-      const star = starData[i];
+    // Not starting within the limit is a DNF
+    cancelLater(inspectionTimeout);
+    inspectionTimeout = later(() => {
+      const solve = timer.expireInspection();
+      if (solve) showTimerResult(solve);
+    }, INSPECTION_LIMIT);
 
-      // Calculate twinkling using sine wave - each star has unique speed and amplitude
-      const twinkle = Math.sin(time * star.twinkleSpeed + star.twinkleOffset);
+    if (timerFrame === null) renderTimerDisplay();
+  }
 
-      // Get existing matrix, update scale for dramatic twinkling effect
-      stars.getMatrixAt(i, dummy.matrix);
-      dummy.matrix.decompose(dummy.position, dummy.quaternion, dummy.scale);
+  function showTimerResult(solve) {
+    cancelLater(inspectionTimeout);
+    timerDisplay.textContent = solve.penalty === 'DNF' ? 'DNF' : formatTime(solve.time) + (solve.penalty === '+2' ? '+' : '');
+    timerPanel.classList.remove('inspecting', 'running');
+    renderTimerStats();
+  }
 
-      // Scale varies based on star's individual amplitude (0.2 to 1.8 range)
-      const scale = 0.3 + (star.baseOpacity + twinkle * star.twinkleAmplitude) * 1.5;
-      dummy.scale.set(scale, scale, scale);
+  function cancelTimedSolve() {
+    if (timer.state === 'idle') return;
+    cancelLater(inspectionTimeout);
+    timer.cancel();
+    timerDisplay.textContent = formatTime(0);
+    timerPanel.classList.remove('inspecting', 'running');
+  }
 
-      dummy.updateMatrix();
-      stars.setMatrixAt(i, dummy.matrix);
-    }
+  // Turns the player didn't make themselves never start the clock
+  const UNTIMED_TURN_SOURCES = ['undo', 'redo', 'scramble', 'solve'];
 
-    stars.instanceMatrix.needsUpdate = true;
+  // The first real turn after the scramble starts the clock (whole-cube rotations are allowed)
+  onTurn('start', (turn) => {
+    if (timer.state !== 'inspecting' || turn.layers.length === SEGMENTS) return;
+    if (UNTIMED_TURN_SOURCES.includes(turn.source)) return;
+    cancelLater(inspectionTimeout);
+    timer.startSolve();
+  });
 
-    // Overall gentle pulse
-    starMaterial.opacity = 0.7 + Math.sin(time * 0.3) * 0.15;
+  // Stop the clock the moment a committed turn leaves the cube solved
+  onTurn('end', () => {
+    if (timer.state !== 'running' || !checkIfSolved()) return;
+    showTimerResult(timer.stop());
+  });
+
+  timerToggle.addEventListener('click', () => {
+    timerEnabled = !timerEnabled;
+    timerToggle.classList.toggle('active', timerEnabled);
+    timerToggle.setAttribute('aria-pressed', String(timerEnabled));
+    timerPanel.classList.toggle('hidden', !timerEnabled);
+    if (!timerEnabled) cancelTimedSolve();
+    renderTimerStats();
+  }, { signal });
+
+  root.getElementById('timer-plus-two').addEventListener('click', () => {
+    timer.setPenalty('+2');
+    renderTimerStats();
+  }, { signal });
+
+  root.getElementById('timer-dnf').addEventListener('click', () => {
+    timer.setPenalty('DNF');
+    renderTimerStats();
+  }, { signal });
+
+  root.getElementById('timer-new-session').addEventListener('click', () => {
+    timer.newSession();
+    timerDisplay.textContent = formatTime(0);
+    renderTimerStats();
+  }, { signal });
+
+  // ============================================
+  // QUALITY - Tiers stepped down and up from the measured frame rate
+  // ============================================
+  // ?quality=low|medium|high locks a tier; ?quality=auto (or nothing) adapts.
+  // The tier in use is on the host's data-quality attribute.
+  const QUALITY_TIERS = [
+    { name: 'low', pixelRatio: 1, bloom: false, bloomResolution: 0.25, stars: 0.25, trace: false, antialias: false },
+    { name: 'medium', pixelRatio: 1.5, bloom: true, bloomResolution: 0.5, stars: 0.5, trace: true, antialias: false },
+    { name: 'high', pixelRatio: 2, bloom: true, bloomResolution: 1, stars: 1, trace: true, antialias: true },
+  ];
+
+  function qualityOverride() {
+    const name = params.get('quality');
+    const index = QUALITY_TIERS.findIndex(tier => tier.name === name);
+    return index === -1 ? null : index;
   }
 
-  // Animate shooting stars
-  for (let i = shootingStars.length - 1; i >= 0; i--) {
-    const meteor = shootingStars[i];
+  function applyQualityTier(tier) {
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, tier.pixelRatio);
+    renderer.setPixelRatio(pixelRatio);
+    finalComposer.setPixelRatio(pixelRatio);
+    bloomComposer.setPixelRatio(pixelRatio * tier.bloomResolution);
+
+    // The scene is drawn into the composer's targets, so that's where MSAA has to be.
+    // Targets are reallocated with the new sample count on next use.
+    const samples = tier.antialias ? 4 : 0;
+    [finalComposer.renderTarget1, finalComposer.renderTarget2].forEach((target) => {
+      if (target.samples === samples) return;
+      target.samples = samples;
+      target.dispose();
+    });
 
-    // Update position
-    meteor.position.add(meteor.userData.velocity);
+    effects.setQuality(tier);
+    smallCubes.forEach((cube) => {
+      cube.userData.traceWireframe.visible = tier.trace;
+    });
 
-    // Tumble
-    meteor.rotation.x += meteor.userData.rotationSpeed.x;
-    meteor.rotation.y += meteor.userData.rotationSpeed.y;
-    meteor.rotation.z += meteor.userData.rotationSpeed.z;
+    host.dataset.quality = tier.name;
+  }
 
-    // Update lifetime
-    meteor.userData.lifetime += deltaTime;
+  const quality = createQualityManager({
+    tiers: QUALITY_TIERS,
+    override: qualityOverride(),
+    onChange: applyQualityTier,
+  });
 
-    // Fade out near end of life
-    const lifeRatio = meteor.userData.lifetime / meteor.userData.maxLifetime;
-    if (lifeRatio > 0.7) {
-      meteor.material.opacity = 1 - (lifeRatio - 0.7) / 0.3;
+  applyQualityTier(quality.current);
+
+  // ============================================
+  // ANIMATION LOOP
+  // ============================================
+  let lastTime = performance.now();
+
+  function animate() {
+    nextFrame(animate);
+
+    const now = performance.now();
+    quality.sample(now - lastTime);
+    tweens.update(now);
+    const deltaTime = Math.min((now - lastTime) / 1000, 0.1); // Cap at 100ms to prevent huge jumps
+    lastTime = now;
+
+    // Smooth rotation interpolation - use delta time for consistent speed.
+    // Reduced motion snaps straight to the target.
+    const lerpFactor = reducedMotion ? 1 : 1 - Math.pow(0.001, deltaTime); // Approximately 0.1 at 60fps
+
+    // Apply momentum when not dragging
+    if (!isDragging && !reducedMotion) {
+      targetRotation.x += velocity.x;
+      targetRotation.y += velocity.y;
+      const damping = Math.pow(0.05, deltaTime); // Frame-rate independent damping
+      velocity.x *= damping;
+      velocity.y *= damping;
     }
 
-    // Remove when dead
-    if (meteor.userData.lifetime >= meteor.userData.maxLifetime) {
-      scene.remove(meteor);
-      meteor.geometry.dispose();
-      meteor.material.dispose();
-      shootingStars.splice(i, 1);
-    }
+    currentRotation.x += (targetRotation.x - currentRotation.x) * lerpFactor;
+    currentRotation.y += (targetRotation.y - currentRotation.y) * lerpFactor;
+
+    cubeGroup.rotation.x = currentRotation.x;
+    cubeGroup.rotation.y = currentRotation.y;
+
+    // Animate Knight Rider tracing effect on wireframes
+    const traceSpeed = 0.5; // Speed of the pulse
+    smallCubes.forEach(cube => {
+      if (cube.userData.traceWireframe.visible && !reducedMotion) {
+        const traceMat = cube.userData.traceWireframe.material;
+        // Animate dashOffset to create moving pulse effect
+        traceMat.dashOffset = -(now * 0.001 * traceSpeed + cube.userData.traceOffset);
+      }
+    });
+
+    effects.update(deltaTime, now);
+
+    renderFrame();
   }
 
-  // Selective bloom rendering
-  // Darken non-bloomed objects, render with bloom, then restore
-  scene.traverse(darkenNonBloomed);
-  finalComposer.render();
-  scene.traverse(restoreMaterials);
-}
+  // Selective bloom: bloom pass with everything else blacked out, then the composite
+  function renderFrame() {
+    const bloomOn = bloomPass.strength > 0 && quality.current.bloom;
+    mixPass.uniforms.bloomAmount.value = bloomOn ? 1 : 0;
 
-// Helper functions for selective bloom
-function darkenNonBloomed(obj) {
-  if (obj.isMesh && bloomLayer.test(obj.layers) === false) {
-    materials[obj.uuid] = obj.material;
-    obj.material = darkMaterial;
+    if (bloomOn) {
+      scene.traverse(darkenNonBloomed);
+      bloomComposer.render();
+      scene.traverse(restoreMaterials);
+    }
+
+    finalComposer.render();
   }
-}
 
-function restoreMaterials(obj) {
-  if (materials[obj.uuid]) {
-    obj.material = materials[obj.uuid];
-    delete materials[obj.uuid];
+  // Helper functions for selective bloom
+  function darkenNonBloomed(obj) {
+    if ((obj.isMesh || obj.isLine) && bloomLayer.test(obj.layers) === false) {
+      materials[obj.uuid] = obj.material;
+      obj.material = obj.isLine ? darkLineMaterial : darkMaterial;
+    }
   }
-}
 
-animate();
+  function restoreMaterials(obj) {
+    if (materials[obj.uuid]) {
+      obj.material = materials[obj.uuid];
+      delete materials[obj.uuid];
+    }
+  }
 
-// ============================================
-// RESIZE HANDLER
-// ============================================
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  updateCameraForScreenSize();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  finalComposer.setSize(window.innerWidth, window.innerHeight);
-  bloomPass.resolution.set(window.innerWidth, window.innerHeight);
-});
+  animate();
+
+  // ============================================
+  // RESIZE HANDLER - Follows the container's box, whatever resizes it
+  // ============================================
+  const resizeObserver = new ResizeObserver(([entry]) => {
+    const { width, height } = entry.contentRect;
+    if (width === 0 || height === 0) return; // Hidden - keep the last size
+    viewport.width = width;
+    viewport.height = height;
+
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    updateCameraForScreenSize();
+    renderer.setSize(width, height);
+    bloomComposer.setSize(width, height);
+    finalComposer.setSize(width, height);
+  });
+  resizeObserver.observe(container);
+
+  // Cube starts solved - user navigation will mix it up
+
+  // ============================================
+  // TEARDOWN
+  // ============================================
+  // Stop everything and free the GPU. The markup under root is left to whoever made it.
+  function destroy() {
+    if (signal.aborted) return;
+
+    trackFace('leave', currentFace);
+    analytics.dispose();
+    if (saveTimer !== null) saveCube();
+    lifetime.abort();
+    timeouts.forEach(id => clearTimeout(id));
+    frames.forEach(id => cancelAnimationFrame(id));
+    idleCallbacks.forEach(id => cancelIdleCallback(id));
+    timeouts.clear();
+    frames.clear();
+    idleCallbacks.clear();
+    resizeObserver.disconnect();
+    moveQueue.cancel();
+    cancelTimedSolve();
+    siteListeners.clear();
+
+    effects.dispose();
+    disposeCube();
+    environments.dispose();
+    new Set([...bloomComposer.passes, ...finalComposer.passes]).forEach(pass => pass.dispose());
+    bloomComposer.dispose();
+    finalComposer.dispose();
+    darkMaterial.dispose();
+    darkLineMaterial.dispose();
+    renderer.dispose();
+    renderer.forceContextLoss();
+    renderer.domElement.remove();
+
+    // Hand the host back as it was
+    host.classList.remove('dark-mode', 'reduced-motion');
+    delete host.dataset.quality;
+    host.style.removeProperty('--default-bg');
+    FACE_SLUGS.forEach((slug) => {
+      host.style.removeProperty(`--${slug}-color`);
+      host.style.removeProperty(`--${slug}-bg`);
+    });
+  }
+
+  // Face index or slug
+  function faceIndexOf(face) {
+    return typeof face === 'string' ? FACE_SLUGS.indexOf(face) : face;
+  }
 
-// Cube starts solved - user navigation will mix it up
+  return {
+    themes,
+    analytics, // analytics.use(adapter) to send the event stream somewhere
+
+    // Turn to a face (index or slug). Resolves once it is showing.
+    navigateTo: async (face) => {
+      const faceIndex = faceIndexOf(face);
+      if (!(faceIndex >= 0 && faceIndex < FACE_SLUGS.length)) throw new RangeError(`Unknown face "${face}"`);
+      await navigateToFace(faceIndex);
+    },
+
+    showContent: face => showContent(faceIndexOf(face)),
+
+    // Play moves in standard notation ("R U R' U'"). Resolves false if the
+    // intro hasn't finished, true once the moves have played.
+    turn: async (algorithm) => {
+      if (!introComplete) return false;
+      await runAlgorithm(algorithm, true, 'api');
+      checkForSolve();
+      return true;
+    },
+
+    // { seed, type } as for the Scramble button; resolves with the scramble played
+    scramble: options => scrambleCube(options),
+
+    // Link to the page with this cube in it, copied when the clipboard allows
+    share: () => shareCube(),
+
+    // Render quality tier in use ('low', 'medium' or 'high'). Setting a name locks
+    // to that tier; setting null goes back to picking one from frame times.
+    get quality() {
+      return quality.current.name;
+    },
+
+    set quality(name) {
+      if (name === null) {
+        quality.setOverride(null);
+        return;
+      }
+      const index = QUALITY_TIERS.findIndex(tier => tier.name === name);
+      if (index === -1) throw new RangeError(`Unknown quality tier "${name}"`);
+      quality.setOverride(index);
+    },
+
+    // Use a theme pack by name. Returns false (and applies it once registered)
+    // when no pack has that name yet.
+    setTheme: name => setTheme(name),
+
+    setCubeSize: async (segments) => {
+      const changed = await setCubeSize(segments);
+      cubeSizeSelect.value = String(SEGMENTS);
+      return changed;
+    },
+
+    // listener(detail) for facechange, solved and contentopen
+    on(type, listener) {
+      if (!siteListeners.has(type)) siteListeners.set(type, new Set());
+      siteListeners.get(type).add(listener);
+    },
+
+    off(type, listener) {
+      siteListeners.get(type)?.delete(listener);
+    },
+
+    destroy,
+  };
+}
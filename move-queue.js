@@ -0,0 +1,105 @@
+// ============================================
+// MOVE QUEUE - Plays turns one after another instead of dropping them
+// ============================================
+// Each queued job is a function that receives a turn object and returns a
+// promise (usually an animation). Jobs run strictly in order and enqueue()
+// returns a promise that settles when that job has played.
+//
+// The turn object tells the job how long to take (turn.duration, in ms) and
+// whether it should jump straight to its end (turn.skip, set by flush()).
+// When the queue gets long, durations shrink so playback catches up, the way
+// speedcubing sims speed up scripted sequences.
+
+export class MoveCancelledError extends Error {
+  constructor() {
+    super('Move was cancelled before it played');
+    this.name = 'MoveCancelledError';
+  }
+}
+
+export function createMoveQueue({
+  duration = 350,      // Quarter-turn duration in ms when the queue is short
+  speedUpAfter = 2,    // Queued moves allowed before playback speeds up
+  minDuration = 60,    // Fastest a turn will ever play
+} = {}) {
+  const pending = [];
+  const idleWaiters = [];
+  let current = null;
+  let draining = false;
+  let skipping = false;
+
+  // Shorter turns the more moves are waiting behind this one
+  function durationFor(backlog) {
+    if (backlog <= queue.speedUpAfter) return queue.duration;
+    const scale = (queue.speedUpAfter + 1) / (backlog + 1);
+    return Math.max(queue.minDuration, queue.duration * scale);
+  }
+
+  async function drain() {
+    draining = true;
+
+    while (pending.length > 0) {
+      current = pending.shift();
+      const turn = {
+        duration: skipping ? 0 : durationFor(pending.length),
+        get skip() { return skipping; },
+      };
+
+      try {
+        current.resolve(await current.run(turn));
+      } catch (error) {
+        current.reject(error);
+      }
+      current = null;
+    }
+
+    draining = false;
+    skipping = false;
+    idleWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  const queue = {
+    duration,
+    speedUpAfter,
+    minDuration,
+
+    // Moves waiting plus the one playing
+    get size() {
+      return pending.length + (current ? 1 : 0);
+    },
+
+    get busy() {
+      return current !== null || pending.length > 0;
+    },
+
+    enqueue(run) {
+      return new Promise((resolve, reject) => {
+        pending.push({ run, resolve, reject });
+        if (!draining) drain();
+      });
+    },
+
+    // Drop every move that hasn't started; the playing one still finishes.
+    // Their promises reject with MoveCancelledError.
+    cancel() {
+      const cancelled = pending.splice(0);
+      cancelled.forEach(job => job.reject(new MoveCancelledError()));
+      return cancelled.length;
+    },
+
+    // Play everything left instantly, including the rest of the current move
+    flush() {
+      if (!queue.busy) return Promise.resolve();
+      skipping = true;
+      return queue.idle();
+    },
+
+    // Resolves once nothing is playing or waiting
+    idle() {
+      if (!queue.busy) return Promise.resolve();
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+  };
+
+  return queue;
+}
@@ -0,0 +1,196 @@
+// ============================================
+// NOTATION - Standard cube notation parser, validator and serializer
+// ============================================
+// Handles face turns (R U F L D B), wide turns (Rw or r, 3Rw), inner slices
+// (2R), middle slices (M E S) and whole-cube rotations (x y z), each with
+// ' (counter-clockwise), 2 (half turn) or 2' suffixes.
+//
+// Moves map onto slice turns as { axis, layers, quarterTurns }, using the same
+// convention as rotateSlice(): positive quarter turns follow the right-hand
+// rule around the positive axis.
+
+// Face turns: the axis they turn around, which end of it the face is on,
+// and the quarter-turn direction of a clockwise turn seen from that face
+const FACES = {
+  R: { axis: 'x', side: 1, direction: -1 },
+  L: { axis: 'x', side: -1, direction: 1 },
+  U: { axis: 'y', side: 1, direction: -1 },
+  D: { axis: 'y', side: -1, direction: 1 },
+  F: { axis: 'z', side: 1, direction: -1 },
+  B: { axis: 'z', side: -1, direction: 1 },
+};
+
+// Middle slices turn like L, D and F respectively
+const SLICES = {
+  M: { axis: 'x', direction: 1 },
+  E: { axis: 'y', direction: 1 },
+  S: { axis: 'z', direction: -1 },
+};
+
+// Whole-cube rotations turn like R, U and F respectively
+const ROTATIONS = {
+  x: { axis: 'x', direction: -1 },
+  y: { axis: 'y', direction: -1 },
+  z: { axis: 'z', direction: -1 },
+};
+
+const SUFFIXES = { '': 1, "'": -1, '2': 2, "2'": -2 };
+
+// One move: optional layer count, move letter, optional w, optional suffix
+const MOVE_PATTERN = /(\d*)([URFDLBurfdlbMESxyz])(w?)(2'|2|'|)/y;
+
+export class NotationError extends Error {
+  constructor(message, token, position) {
+    super(message);
+    this.name = 'NotationError';
+    this.token = token;
+    this.position = position;
+  }
+}
+
+// Split an algorithm into moves and errors without throwing.
+// Moves may be separated by spaces or written together ("RUR'U'").
+function scan(text, size) {
+  const source = String(text).replace(/[‘’′]/g, "'");
+  const moves = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+      continue;
+    }
+
+    MOVE_PATTERN.lastIndex = i;
+    const match = MOVE_PATTERN.exec(source);
+    const next = match ? source[MOVE_PATTERN.lastIndex] : undefined;
+
+    // A move must end at whitespace, the end of the text or the start of another move
+    if (!match || (next !== undefined && !/[\sURFDLBurfdlbMESxyz\d]/.test(next))) {
+      const end = source.slice(i).search(/\s|$/);
+      const token = source.slice(i, i + end);
+      errors.push({ token, position: i, message: `Unknown move "${token}" at position ${i}` });
+      i += end;
+      continue;
+    }
+
+    const [token, prefix, letter, w, suffix] = match;
+    const error = checkMove(letter, prefix, w, size);
+    if (error) {
+      errors.push({ token, position: i, message: `${error} in "${token}" at position ${i}` });
+    } else {
+      moves.push(createMove(letter, prefix, w, suffix));
+    }
+    i = MOVE_PATTERN.lastIndex;
+  }
+
+  return { moves, errors };
+}
+
+function checkMove(letter, prefix, w, size) {
+  const isFace = letter.toUpperCase() in FACES;
+  const isLower = isFace && !(letter in FACES);
+
+  if (!isFace && (prefix || w)) return 'Layer counts and "w" only apply to face turns';
+  if (isLower && w) return 'Use either a lowercase letter or "w", not both';
+  if (prefix && Number(prefix) < 1) return 'Layer count must be at least 1';
+  if (size && prefix && Number(prefix) > size) return `Layer count is larger than a ${size}x${size} cube`;
+  if (size && letter in SLICES && size < 3) return `${letter} needs a cube with middle layers`;
+  return null;
+}
+
+function createMove(letter, prefix, w, suffix) {
+  const face = letter.toUpperCase();
+  const amount = SUFFIXES[suffix];
+
+  if (face in FACES && letter !== face) {
+    // Lowercase r is the same as Rw
+    return { type: 'wide', face, depth: Number(prefix) || 2, amount };
+  }
+  if (face in FACES) {
+    if (w) return { type: 'wide', face, depth: Number(prefix) || 2, amount };
+    return { type: 'face', face, depth: Number(prefix) || 1, amount };
+  }
+  if (letter in SLICES) return { type: 'slice', face: letter, amount };
+  return { type: 'rotation', face: letter, amount };
+}
+
+// Parse an algorithm string into moves, throwing a NotationError at the first bad token.
+// Pass the cube size to also check layer counts against it.
+export function parseAlgorithm(text, { size } = {}) {
+  const { moves, errors } = scan(text, size);
+  if (errors.length > 0) {
+    const [first] = errors;
+    throw new NotationError(first.message, first.token, first.position);
+  }
+  return moves;
+}
+
+// Check an algorithm string, returning every problem instead of throwing
+export function validateAlgorithm(text, { size } = {}) {
+  const { errors } = scan(text, size);
+  return { valid: errors.length === 0, errors };
+}
+
+export function formatMove(move) {
+  let suffix = Object.keys(SUFFIXES).find(key => SUFFIXES[key] === move.amount);
+  if (suffix === undefined) suffix = '';
+
+  if (move.type === 'wide') {
+    return `${move.depth > 2 ? move.depth : ''}${move.face}w${suffix}`;
+  }
+  if (move.type === 'face') {
+    return `${move.depth > 1 ? move.depth : ''}${move.face}${suffix}`;
+  }
+  return `${move.face}${suffix}`;
+}
+
+// Turn parsed moves back into a normalised algorithm string
+export function serializeAlgorithm(moves) {
+  return moves.map(formatMove).join(' ');
+}
+
+// Moves that undo the given moves
+export function invertAlgorithm(moves) {
+  return moves.slice().reverse().map(move => ({
+    ...move,
+    amount: Math.abs(move.amount) === 2 ? move.amount : -move.amount,
+  }));
+}
+
+// Map a move onto a slice turn for a cube of the given size
+export function moveToTurn(move, size = 3) {
+  const max = size - 1;
+  const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+  if (move.type === 'rotation') {
+    const { axis, direction } = ROTATIONS[move.face];
+    return { axis, layers: range(0, max), quarterTurns: direction * move.amount };
+  }
+
+  if (move.type === 'slice') {
+    const { axis, direction } = SLICES[move.face];
+    return { axis, layers: range(1, max - 1), quarterTurns: direction * move.amount };
+  }
+
+  const { axis, side, direction } = FACES[move.face];
+  const depth = Math.min(move.depth, size);
+  // Layers counted inward from the face: the outer one is 1
+  const layerAt = (n) => (side > 0 ? max - (n - 1) : n - 1);
+  const layers = move.type === 'wide'
+    ? range(1, depth).map(layerAt)
+    : [layerAt(depth)];
+
+  return { axis, layers: layers.sort((a, b) => a - b), quarterTurns: direction * move.amount };
+}
+
+// Apply an algorithm (string or parsed moves) to a cube state
+export function applyAlgorithm(state, algorithm) {
+  const moves = typeof algorithm === 'string' ? parseAlgorithm(algorithm, { size: state.size }) : algorithm;
+  for (const move of moves) {
+    const { axis, layers, quarterTurns } = moveToTurn(move, state.size);
+    state.turn(axis, layers, quarterTurns);
+  }
+  return state;
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCubeState } from './cube-state.js';
+import { parseAlgorithm, serializeAlgorithm, invertAlgorithm, applyAlgorithm, NotationError } from './notation.js';
+
+test('an algorithm followed by its inverse returns to solved', () => {
+  for (const [size, algorithm] of [[3, "R U R' U' M2 x y' F2"], [4, "Rw U2 2R' Fw' 2U"], [5, "3Rw' D 2L2 S E'"]]) {
+    const moves = parseAlgorithm(algorithm, { size });
+    const cube = applyAlgorithm(createCubeState(size), moves);
+    assert.equal(cube.isHome(), false);
+    applyAlgorithm(cube, invertAlgorithm(moves));
+    assert.equal(cube.isHome(), true, algorithm);
+  }
+});
+
+test('sexy move six times is the identity', () => {
+  const cube = applyAlgorithm(createCubeState(3), "R U R' U' ".repeat(6));
+  assert.equal(cube.isHome(), true);
+});
+
+test('serializing normalises notation', () => {
+  assert.equal(serializeAlgorithm(parseAlgorithm("r 1U2 x'")), "Rw U2 x'");
+});
+
+test('invalid moves throw a NotationError', () => {
+  assert.throws(() => parseAlgorithm('R Q'), NotationError);
+  assert.throws(() => parseAlgorithm('4Rw', { size: 3 }), NotationError);
+});
@@ -0,0 +1,94 @@
+// ============================================
+// QUALITY - Steps render quality down and up from measured frame times
+// ============================================
+// The manager only decides which tier to use; the scene applies it. Tiers are
+// ordered from cheapest (0) to best. Frame times are averaged over a window:
+//   - slower than downFrameTime on average -> one tier down
+//   - faster than upFrameTime for upDelay  -> one tier up
+// Hysteresis: the two thresholds leave a dead band between them, every change
+// is followed by a cooldown, and each time a tier has to be abandoned it waits
+// twice as long before being tried again, so it can't flip back and forth.
+
+export function createQualityManager({
+  tiers,
+  initialTier = tiers.length - 1,
+  override = null,          // Tier index to lock to, or null for automatic
+  windowSize = 60,          // Frames averaged per decision
+  downFrameTime = 1000 / 45, // ms - below ~45fps steps down
+  upFrameTime = 1000 / 57,   // ms - above ~57fps (for a while) steps up
+  upDelay = 3000,           // ms of good frames before stepping up
+  cooldown = 2000,          // ms after a change before the next one
+  maxFrameTime = 250,       // Longer frames are stalls (tab switch, GC), not load
+  onChange = () => {},
+} = {}) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new RangeError('Quality manager needs at least one tier');
+  }
+
+  const clamp = index => Math.max(0, Math.min(tiers.length - 1, index));
+  let tier = clamp(override ?? initialTier);
+  const failures = tiers.map(() => 0);
+  let samples = [];
+  let goodFor = 0;     // ms of consecutive good windows
+  let cooldownLeft = 0;
+
+  function setTier(index) {
+    const next = clamp(index);
+    if (next === tier) return;
+    const previous = tier;
+    tier = next;
+    samples = [];
+    goodFor = 0;
+    cooldownLeft = cooldown;
+    onChange(tiers[tier], tier, previous);
+  }
+
+  const manager = {
+    get tier() {
+      return tier;
+    },
+
+    get current() {
+      return tiers[tier];
+    },
+
+    get locked() {
+      return override !== null;
+    },
+
+    // Feed one frame's duration in ms
+    sample(frameTime) {
+      if (override !== null || frameTime <= 0 || frameTime > maxFrameTime) return;
+
+      if (cooldownLeft > 0) {
+        cooldownLeft -= frameTime;
+        return;
+      }
+
+      samples.push(frameTime);
+      if (samples.length < windowSize) return;
+
+      const average = samples.reduce((sum, t) => sum + t, 0) / samples.length;
+      const windowTime = average * samples.length;
+      samples = [];
+
+      if (average > downFrameTime && tier > 0) {
+        failures[tier]++;
+        setTier(tier - 1);
+      } else if (average < upFrameTime && tier < tiers.length - 1) {
+        goodFor += windowTime;
+        if (goodFor >= upDelay * 2 ** failures[tier + 1]) setTier(tier + 1);
+      } else {
+        goodFor = 0;
+      }
+    },
+
+    // Lock to a tier (index), or pass null to go back to automatic
+    setOverride(index) {
+      override = index === null ? null : clamp(index);
+      if (override !== null) setTier(override);
+    },
+  };
+
+  return manager;
+}
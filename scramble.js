@@ -0,0 +1,91 @@
+// ============================================
+// SCRAMBLE - Seeded WCA-style scramble generator
+// ============================================
+// Two kinds of scramble, both reproducible from a seed:
+//   'random-state' - a uniformly random 3x3 state, written as the inverse of
+//                    its two-phase solution (what the WCA uses for 3x3)
+//   'random-move'  - random face turns with no turn on the same face as the
+//                    last one and no three in a row on one axis (R L R);
+//                    any size, with Rw/Uw/Fw wide turns from 4x4 up
+
+import { serializeAlgorithm, invertAlgorithm } from './notation.js';
+import { solveRandomState } from './solver.js';
+
+// Scramble lengths for random-move scrambles, as used by WCA scramblers
+const MOVE_SCRAMBLE_LENGTH = { 2: 11, 3: 20, 4: 40, 5: 60, 6: 80, 7: 100 };
+
+const FACES = ['R', 'L', 'U', 'D', 'F', 'B'];
+const FACE_AXIS = { R: 'x', L: 'x', U: 'y', D: 'y', F: 'z', B: 'z' };
+const WIDE_FACES = ['R', 'U', 'F']; // WCA big-cube scrambles only use Rw, Uw and Fw
+const AMOUNTS = [1, -1, 2];
+
+// Hash a seed string to a 32-bit integer (cyrb53-style mixing)
+function hashSeed(seed) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (const ch of String(seed)) {
+    const code = ch.codePointAt(0);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+}
+
+// Seeded random source returning [0, 1) - mulberry32
+export function createRandom(seed) {
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Short seed to show and share when none was given
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+export function randomMoveScramble(random, { size = 3, length = MOVE_SCRAMBLE_LENGTH[size] || 20 } = {}) {
+  // Wide turns of up to half the cube on big cubes (Rw, 3Rw, ...)
+  const maxDepth = size >= 4 ? Math.floor(size / 2) : 1;
+  const moves = [];
+
+  while (moves.length < length) {
+    const face = FACES[Math.floor(random() * FACES.length)];
+    const last = moves[moves.length - 1];
+    const beforeLast = moves[moves.length - 2];
+
+    if (last && last.face === face) continue;
+    if (last && beforeLast &&
+        FACE_AXIS[last.face] === FACE_AXIS[face] &&
+        FACE_AXIS[beforeLast.face] === FACE_AXIS[face]) continue;
+
+    const depth = WIDE_FACES.includes(face) ? 1 + Math.floor(random() * maxDepth) : 1;
+    const amount = AMOUNTS[Math.floor(random() * AMOUNTS.length)];
+    moves.push(depth > 1
+      ? { type: 'wide', face, depth, amount }
+      : { type: 'face', face, depth: 1, amount });
+  }
+
+  return moves;
+}
+
+export function randomStateScramble(random) {
+  return invertAlgorithm(solveRandomState(random));
+}
+
+// Generate a scramble. Without a seed, a fresh one is picked and returned so
+// the same scramble can be generated again. Random-state only exists for 3x3;
+// other sizes always get a random-move scramble.
+export function generateScramble({ seed = randomSeed(), type = 'random-state', size = 3 } = {}) {
+  const random = createRandom(seed);
+  const kind = type === 'random-state' && size === 3 ? 'random-state' : 'random-move';
+  const moves = kind === 'random-state'
+    ? randomStateScramble(random)
+    : randomMoveScramble(random, { size });
+
+  return { seed: String(seed), type: kind, size, moves, text: serializeAlgorithm(moves) };
+}
@@ -0,0 +1,287 @@
+// ============================================
+// SHARE - A cube as a short code, for links and for saving
+// ============================================
+// A code is the cube's state: for every cubie, which of the 24 rotations of a
+// cube it has been given. A turn moves a cubie and rotates it together, so its
+// rotation also says which slot it is in, and a code's length depends only on
+// the cube size. Codes use the URL-safe base64 alphabet:
+//
+//   version (1 char) | size (1 char) | rotations (5 bits per cubie) | checksum (4 chars)
+//
+// The checksum catches hand-edited and cut-off codes. Decoding also checks the
+// state could come from turning: every slot is filled once, and each kind of
+// piece has a permutation parity, corner twist and edge flip that some
+// sequence of turns gives.
+
+import { createCubeState, AXES, multiply, transform } from './cube-state.js';
+
+export const SHARE_VERSION = 2;
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const MIN_SIZE = 2;
+const MAX_SIZE = 7;
+const ROTATION_BITS = 5;
+
+export class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+// The 24 rotations of a cube: signed axis permutations with determinant 1, row-major
+const ROTATIONS = [];
+for (const columns of [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]]) {
+  for (let signs = 0; signs < 8; signs++) {
+    const m = new Array(9).fill(0);
+    columns.forEach((column, row) => {
+      m[row * 3 + column] = signs & (1 << row) ? -1 : 1;
+    });
+    const determinant = m[0] * (m[4] * m[8] - m[5] * m[7]) -
+      m[1] * (m[3] * m[8] - m[5] * m[6]) +
+      m[2] * (m[3] * m[7] - m[4] * m[6]);
+    if (determinant === 1) ROTATIONS.push(m);
+  }
+}
+const ROTATION_INDEX = new Map(ROTATIONS.map((m, i) => [m.join(), i]));
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+const transpose = m => [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+const key = v => v.join();
+
+function digits(value, length) {
+  let text = '';
+  for (let i = length - 1; i >= 0; i--) text += ALPHABET[(value >> (i * 6)) & 63];
+  return text;
+}
+
+function readDigit(char) {
+  const digit = ALPHABET.indexOf(char);
+  if (digit === -1) throw new ShareError(`"${char}" can't appear in a cube code`);
+  return digit;
+}
+
+// FNV-1a, cut to 24 bits (four characters)
+function checksum(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return digits((hash >>> 0) & 0xffffff, 4);
+}
+
+function packBits(values, bits) {
+  let text = '';
+  let buffer = 0;
+  let count = 0;
+  for (const value of values) {
+    buffer = (buffer << bits) | value;
+    count += bits;
+    while (count >= 6) {
+      count -= 6;
+      text += ALPHABET[(buffer >> count) & 63];
+    }
+    buffer &= (1 << count) - 1;
+  }
+  if (count > 0) text += ALPHABET[(buffer << (6 - count)) & 63];
+  return text;
+}
+
+function unpackBits(text, bits, length) {
+  const values = [];
+  let buffer = 0;
+  let count = 0;
+  for (const char of text) {
+    buffer = (buffer << 6) | readDigit(char);
+    count += 6;
+    while (count >= bits && values.length < length) {
+      count -= bits;
+      values.push((buffer >> count) & ((1 << bits) - 1));
+    }
+    buffer &= (1 << count) - 1;
+  }
+  if (buffer !== 0) throw new ShareError('Cube code has bits left over');
+  return values;
+}
+
+// ============================================
+// REACHABILITY
+// ============================================
+// Pieces that turns can swap form an orbit (corners, edges, each ring of
+// centers...). Positions here are doubled and centered so they are integers on
+// every size. Each orbit measures a cubie's orientation against a reference
+// frame per slot; what is left over is a rotation that keeps the orbit's
+// representative in place: a corner's twist (mod 3), an edge's flip (mod 2) or a
+// face center's quarter turns (mod 4, of which only the parity is checked).
+// A state's permutation signs and orientation sums, per orbit, change by a fixed
+// amount with each turn, so a reachable state's sums are combinations of the
+// single-layer turns' sums (mod 2 and mod 3).
+
+const analyses = new Map();
+
+function analyse(size) {
+  if (analyses.has(size)) return analyses.get(size);
+
+  const cube = createCubeState(size);
+  const doubled = position => position.map(p => 2 * p - (size - 1));
+  const slotOf = new Map(cube.cubies.map(cubie => [key(cubie.home), cubie.id]));
+
+  // Cubies that one layer turn moves into each other's slots share an orbit
+  const parent = cube.cubies.map(cubie => cubie.id);
+  const find = id => (parent[id] === id ? id : (parent[id] = find(parent[id])));
+  const generators = [];
+  for (const axis of AXES) {
+    for (let layer = 0; layer < size; layer++) {
+      cube.reset().turn(axis, layer, 1);
+      generators.push(cube.clone());
+      cube.cubies.forEach((cubie) => {
+        parent[find(cubie.id)] = find(slotOf.get(key(cubie.position)));
+      });
+    }
+  }
+
+  const groups = new Map();
+  cube.cubies.forEach((cubie) => {
+    const root = find(cubie.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(cubie.id);
+  });
+
+  // Per slot, the rotation that takes its orbit's representative there
+  const frames = [];
+  const orbits = [...groups.values()].map((ids) => {
+    const representative = doubled(cube.cubies[ids[0]].home);
+    ids.forEach((id) => {
+      const home = key(doubled(cube.cubies[id].home));
+      frames[id] = ROTATIONS.find(m => key(transform(m, representative)) === home);
+    });
+
+    // Rotations that keep the representative in place form a cyclic group
+    // (1, 2, 3 or 4 elements) - number them by powers of one that generates it
+    const stabilizer = ROTATIONS.filter(m => key(transform(m, representative)) === key(representative));
+    const twists = new Map();
+    for (const generator of stabilizer) {
+      const powers = [IDENTITY];
+      for (let m = generator; key(m) !== key(IDENTITY); m = multiply(generator, m)) powers.push(m);
+      if (powers.length === stabilizer.length) {
+        powers.forEach((m, i) => twists.set(key(m), i));
+        break;
+      }
+    }
+    return { ids, twists, modulus: stabilizer.length };
+  });
+
+  const analysis = { slotOf, frames, orbits };
+  analysis.generators = generators.map(state => invariants(state, analysis));
+  analyses.set(size, analysis);
+  return analysis;
+}
+
+// Permutation sign and orientation sum of every orbit, as [modulus, value] pairs
+function invariants(state, { slotOf, frames, orbits }) {
+  return orbits.flatMap(({ ids, twists, modulus }) => {
+    const target = new Map(ids.map(id => [id, slotOf.get(key(state.cubies[id].position))]));
+
+    let sign = 0;
+    const seen = new Set();
+    for (const id of ids) {
+      for (let next = id, length = 0; !seen.has(next); next = target.get(next), length++) {
+        seen.add(next);
+        if (length > 0) sign++;
+      }
+    }
+
+    let twist = 0;
+    for (const id of ids) {
+      const leftover = multiply(transpose(frames[target.get(id)]), multiply(state.cubies[id].rotation, frames[id]));
+      twist += twists.get(key(leftover));
+    }
+
+    // Quarter turns of a face center only count by parity
+    const twistModulus = modulus === 4 ? 2 : modulus;
+    return [[2, sign % 2], [twistModulus, twist % twistModulus]];
+  });
+}
+
+// Whether target is a sum of multiples of vectors, mod a prime
+function inSpan(vectors, target, prime) {
+  const basis = [];
+  const reduce = (vector) => {
+    const v = vector.slice();
+    for (const { row, pivot } of basis) {
+      const factor = v[pivot];
+      if (factor) v.forEach((_, i) => { v[i] = (((v[i] - factor * row[i]) % prime) + prime) % prime; });
+    }
+    return v;
+  };
+
+  for (const vector of vectors) {
+    const row = reduce(vector);
+    const pivot = row.findIndex(value => value !== 0);
+    if (pivot === -1) continue;
+    // Every nonzero value mod 2 or 3 is its own inverse
+    const inverse = row[pivot];
+    basis.push({ row: row.map(value => (value * inverse) % prime), pivot });
+  }
+  return reduce(target).every(value => value === 0);
+}
+
+function isReachable(state, analysis) {
+  const values = invariants(state, analysis);
+  return [2, 3].every((prime) => {
+    const pick = pairs => pairs.filter(([modulus]) => modulus === prime).map(([, value]) => value);
+    return inSpan(analysis.generators.map(pick), pick(values), prime);
+  });
+}
+
+// ============================================
+// CODES
+// ============================================
+
+// Code for a cube state (see cube-state.js)
+export function encodeShare(state) {
+  const { size } = state;
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    throw new RangeError(`Cube size must be ${MIN_SIZE} to ${MAX_SIZE}, got ${size}`);
+  }
+
+  const rotations = state.cubies.map(cubie => ROTATION_INDEX.get(cubie.rotation.join()));
+  const body = ALPHABET[SHARE_VERSION] + ALPHABET[size] + packBits(rotations, ROTATION_BITS);
+  return body + checksum(body);
+}
+
+// Size and cube state for a code. Throws a ShareError for anything that isn't
+// a reachable cube this version wrote, sizes outside minSize..maxSize included.
+export function decodeShare(text, { minSize = MIN_SIZE, maxSize = MAX_SIZE } = {}) {
+  if (typeof text !== 'string' || text.length < 7) throw new ShareError('Not a cube code');
+
+  const body = text.slice(0, -4);
+  if (checksum(body) !== text.slice(-4)) throw new ShareError('Cube code has been changed or cut short');
+
+  const version = readDigit(body[0]);
+  if (version !== SHARE_VERSION) throw new ShareError(`Cube code version ${version} isn't supported`);
+
+  const size = readDigit(body[1]);
+  if (size < Math.max(minSize, MIN_SIZE) || size > Math.min(maxSize, MAX_SIZE)) {
+    throw new ShareError(`Cube code is for a ${size}x${size} cube`);
+  }
+
+  const state = createCubeState(size);
+  const count = state.cubies.length;
+  if (body.length !== 2 + Math.ceil((count * ROTATION_BITS) / 6)) throw new ShareError('Cube code has the wrong length');
+
+  // Each cubie's rotation puts it in its slot
+  const center = (size - 1) / 2;
+  const filled = new Set();
+  unpackBits(body.slice(2), ROTATION_BITS, count).forEach((index, i) => {
+    if (index >= ROTATIONS.length) throw new ShareError(`Cubie ${i} has no rotation ${index}`);
+    const cubie = state.cubies[i];
+    cubie.rotation = ROTATIONS[index].slice();
+    cubie.position = transform(cubie.rotation, cubie.home.map(p => p - center)).map(p => Math.round(p + center));
+    filled.add(key(cubie.position));
+  });
+
+  if (filled.size !== count) throw new ShareError('Cube code puts two cubies in one place');
+  if (!isReachable(state, analyse(size))) throw new ShareError("Cube code is for a cube that turning can't make");
+  return { size, state };
+}
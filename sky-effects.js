@@ -0,0 +1,298 @@
+// ============================================
+// SKY EFFECTS - The night sky's cube stars and meteor shower
+// ============================================
+// Both are effects for effects.js. They only need the scene and the layer that
+// blooms from the context: { scene, bloomLayer }.
+
+import * as THREE from 'three';
+
+// ============================================
+// STARS - Twinkling backdrop
+// ============================================
+// Twinkling runs on the GPU: per-star speed, amplitude, offset and base opacity
+// are instanced attributes and the shader animates them from one time uniform,
+// so nothing is re-uploaded per frame and the count can go into the tens of
+// thousands.
+export function createStarField({ scene, bloomLayer }, { count = 800 } = {}) {
+  const starGeometry = new THREE.BoxGeometry(0.03, 0.03, 0.03); // Tiny cube stars
+  const starMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      color: { value: new THREE.Color(0xffffff) },
+      opacity: { value: 0.8 }, // Overall gentle pulse, on top of each star's own opacity
+    },
+    vertexShader: `
+      uniform float uTime;
+      attribute float twinkleSpeed;
+      attribute float twinkleAmplitude;
+      attribute float twinkleOffset;
+      attribute float baseOpacity;
+      varying float vOpacity;
+
+      void main() {
+        // Each star has unique speed and amplitude
+        float twinkle = sin(uTime * twinkleSpeed + twinkleOffset);
+        float level = baseOpacity + twinkle * twinkleAmplitude;
+
+        // Scale varies with the star's twinkle (0.2 to 1.8 range), opacity follows it
+        float scale = max(0.3 + level * 1.5, 0.0);
+        vOpacity = clamp(level, 0.15, 1.0);
+
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position * scale, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 color;
+      uniform float opacity;
+      varying float vOpacity;
+
+      void main() {
+        gl_FragColor = vec4(color, opacity * vOpacity);
+      }
+    `,
+    transparent: true,
+  });
+
+  const stars = new THREE.InstancedMesh(starGeometry, starMaterial, count);
+  const twinkleSpeeds = new Float32Array(count);
+  const twinkleAmplitudes = new Float32Array(count);
+  const twinkleOffsets = new Float32Array(count);
+  const baseOpacities = new Float32Array(count);
+  const starMatrix = new THREE.Matrix4();
+  const starRotation = new THREE.Euler();
+
+  // Position stars as a backdrop dome behind the cube (visible from camera)
+  for (let i = 0; i < count; i++) {
+    // Create a dome/hemisphere behind the cube
+    // Camera is at z=5 looking at origin, so stars should be at negative Z (behind cube)
+    const distance = 8 + Math.random() * 12; // 8-20 units away
+
+    // Horizontal spread (left to right)
+    const x = (Math.random() - 0.5) * 25;
+
+    // Vertical spread, biased toward top
+    const yBias = Math.pow(Math.random(), 0.7); // Favor upper portion
+    const y = (yBias - 0.3) * 20; // -6 to 14 (more at top)
+
+    // Depth - push stars back behind the cube
+    const z = -distance + (Math.random() - 0.5) * 8;
+
+    // Random rotation
+    starRotation.set(
+      Math.random() * Math.PI,
+      Math.random() * Math.PI,
+      Math.random() * Math.PI
+    );
+    starMatrix.makeRotationFromEuler(starRotation);
+    starMatrix.setPosition(x, y, z);
+
+    stars.setMatrixAt(i, starMatrix);
+
+    // Twinkle data - varied patterns
+    const twinkleType = Math.random();
+    let speed, amplitude;
+
+    if (twinkleType < 0.3) {
+      // Fast twinklers (30%)
+      speed = 3 + Math.random() * 4;
+      amplitude = 0.6 + Math.random() * 0.4;
+    } else if (twinkleType < 0.6) {
+      // Medium twinklers (30%)
+      speed = 1.5 + Math.random() * 2;
+      amplitude = 0.3 + Math.random() * 0.4;
+    } else if (twinkleType < 0.85) {
+      // Slow twinklers (25%)
+      speed = 0.5 + Math.random() * 1;
+      amplitude = 0.2 + Math.random() * 0.3;
+    } else {
+      // Steady stars - barely twinkle (15%)
+      speed = 0.1 + Math.random() * 0.3;
+      amplitude = 0.05 + Math.random() * 0.1;
+    }
+
+    twinkleSpeeds[i] = speed;
+    twinkleAmplitudes[i] = amplitude;
+    twinkleOffsets[i] = Math.random() * Math.PI * 2;
+    baseOpacities[i] = 0.5 + Math.random() * 0.5;
+  }
+
+  starGeometry.setAttribute('twinkleSpeed', new THREE.InstancedBufferAttribute(twinkleSpeeds, 1));
+  starGeometry.setAttribute('twinkleAmplitude', new THREE.InstancedBufferAttribute(twinkleAmplitudes, 1));
+  starGeometry.setAttribute('twinkleOffset', new THREE.InstancedBufferAttribute(twinkleOffsets, 1));
+  starGeometry.setAttribute('baseOpacity', new THREE.InstancedBufferAttribute(baseOpacities, 1));
+
+  stars.instanceMatrix.needsUpdate = true;
+  stars.layers.enable(bloomLayer); // Stars bloom
+
+  let frozen = false;
+
+  return {
+    enter() {
+      scene.add(stars);
+    },
+
+    // Twinkling animates in the shader - just advance its clock (frozen with reduced motion)
+    update(deltaTime, now) {
+      if (frozen) return;
+      const time = now * 0.001; // Convert to seconds
+      starMaterial.uniforms.uTime.value = time;
+
+      // Overall gentle pulse
+      starMaterial.uniforms.opacity.value = 0.7 + Math.sin(time * 0.3) * 0.15;
+    },
+
+    exit() {
+      scene.remove(stars);
+    },
+
+    dispose() {
+      scene.remove(stars);
+      starGeometry.dispose();
+      starMaterial.dispose();
+      stars.dispose();
+    },
+
+    // Lower tiers draw a fraction of the field
+    setQuality(tier) {
+      stars.count = Math.max(1, Math.round(count * tier.stars));
+    },
+
+    setReducedMotion(value) {
+      frozen = value;
+    },
+  };
+}
+
+// ============================================
+// METEORS - Showers of tumbling cubes
+// ============================================
+// Showers are timed from update(), not setTimeout, so there is only ever one
+// schedule and it stops the moment the effect exits.
+export function createMeteorShower({ scene, bloomLayer }, { maxMeteors = 10 } = {}) {
+  const meteors = [];
+  let pending = [];   // Seconds until each staggered spawn of the current shower
+  let nextShower = 0; // Seconds until the next shower
+  let paused = false;
+
+  function createMeteor() {
+    const geometry = new THREE.BoxGeometry(0.12, 0.12, 0.12);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 1
+    });
+    const meteor = new THREE.Mesh(geometry, material);
+
+    // Start from top corner, shoot diagonally across and down
+    const startY = 15 + Math.random() * 10;
+    const startX = (Math.random() > 0.5 ? 1 : -1) * (15 + Math.random() * 10); // Start from left or right
+    const startZ = (Math.random() - 0.5) * 20;
+
+    meteor.position.set(startX, startY, startZ);
+
+    // Velocity: diagonal trajectory (down and across)
+    const direction = startX > 0 ? -1 : 1; // Move opposite to start position
+    meteor.userData.velocity = new THREE.Vector3(
+      direction * (0.3 + Math.random() * 0.3), // Strong horizontal movement
+      -0.4 - Math.random() * 0.3,              // Falling down
+      (Math.random() - 0.5) * 0.2              // Slight depth movement
+    );
+
+    // Random rotation speed for tumbling effect
+    meteor.userData.rotationSpeed = new THREE.Vector3(
+      (Math.random() - 0.5) * 0.15,
+      (Math.random() - 0.5) * 0.15,
+      (Math.random() - 0.5) * 0.15
+    );
+
+    meteor.userData.lifetime = 0;
+    meteor.userData.maxLifetime = 3 + Math.random() * 2; // 3-5 seconds
+
+    meteor.layers.enable(bloomLayer); // Shooting stars also bloom
+    scene.add(meteor);
+    meteors.push(meteor);
+  }
+
+  function removeMeteor(i) {
+    const meteor = meteors[i];
+    scene.remove(meteor);
+    meteor.geometry.dispose();
+    meteor.material.dispose();
+    meteors.splice(i, 1);
+  }
+
+  // Remove every meteor in flight and forget any spawns still to come
+  function clear() {
+    for (let i = meteors.length - 1; i >= 0; i--) removeMeteor(i);
+    pending = [];
+  }
+
+  function scheduleShower() {
+    // Spawn 2-4 shooting stars for more dramatic effect
+    const count = 2 + Math.floor(Math.random() * 3);
+    for (let i = 0; i < count; i++) {
+      if (meteors.length + pending.length < maxMeteors) pending.push(i * 0.3); // Stagger spawns
+    }
+
+    // Next meteor shower in 3-7 seconds
+    nextShower = 3 + Math.random() * 4;
+  }
+
+  function animateMeteors(deltaTime) {
+    for (let i = meteors.length - 1; i >= 0; i--) {
+      const meteor = meteors[i];
+
+      // Update position
+      meteor.position.add(meteor.userData.velocity);
+
+      // Tumble
+      meteor.rotation.x += meteor.userData.rotationSpeed.x;
+      meteor.rotation.y += meteor.userData.rotationSpeed.y;
+      meteor.rotation.z += meteor.userData.rotationSpeed.z;
+
+      // Update lifetime
+      meteor.userData.lifetime += deltaTime;
+
+      // Fade out near end of life
+      const lifeRatio = meteor.userData.lifetime / meteor.userData.maxLifetime;
+      if (lifeRatio > 0.7) {
+        meteor.material.opacity = 1 - (lifeRatio - 0.7) / 0.3;
+      }
+
+      // Remove when dead
+      if (meteor.userData.lifetime >= meteor.userData.maxLifetime) {
+        removeMeteor(i);
+      }
+    }
+  }
+
+  return {
+    // First shower straight away
+    enter() {
+      nextShower = 0;
+    },
+
+    update(deltaTime) {
+      if (paused) return;
+
+      nextShower -= deltaTime;
+      if (nextShower <= 0) scheduleShower();
+
+      pending = pending.map(delay => delay - deltaTime);
+      pending.filter(delay => delay <= 0).forEach(() => createMeteor());
+      pending = pending.filter(delay => delay > 0);
+
+      animateMeteors(deltaTime);
+    },
+
+    // Nothing lingers once the face is left
+    exit: clear,
+    dispose: clear,
+
+    // Reduced motion stops the shower and what's already falling
+    setReducedMotion(value) {
+      paused = value;
+      if (value) clear();
+    },
+  };
+}
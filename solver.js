@@ -0,0 +1,458 @@
+// ============================================
+// SOLVER - Two-phase solver for the 3x3 cube
+// ============================================
+// Kociemba's two-phase algorithm: phase 1 brings the cube into the subgroup
+// <U, D, R2, L2, F2, B2> (all orientations fixed, middle-layer edges in the
+// middle layer), phase 2 solves it using only those moves. Finds a solution
+// of at most ~25 moves from any reachable state in well under a second once
+// the tables are built.
+//
+// Works on the headless cube state (cube-state.js). Solutions come back as
+// moves in standard notation, relative to the cube's current orientation.
+
+import { formatMove } from './notation.js';
+
+// Face letters in Kociemba's U R F D L B order, and the matching face index
+// in the scene's order (+X, -X, +Y, -Y, +Z, -Z)
+const FACE_ORDER = ['U', 'R', 'F', 'D', 'L', 'B'];
+const SCENE_FACE = { U: 2, R: 0, F: 4, D: 3, L: 1, B: 5 };
+
+// Facelet indices: U1..U9 = 0..8, R = 9..17, F = 18..26, D = 27..35, L = 36..44, B = 45..53
+const U = 0, R = 9, F = 18, D = 27, L = 36, B = 45;
+
+// Stickers of each corner slot URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB (U/D sticker first)
+const CORNER_FACELETS = [
+  [U + 8, R + 0, F + 2], [U + 6, F + 0, L + 2], [U + 0, L + 0, B + 2], [U + 2, B + 0, R + 2],
+  [D + 2, F + 8, R + 6], [D + 0, L + 8, F + 6], [D + 6, B + 8, L + 6], [D + 8, R + 8, B + 6],
+];
+const CORNER_COLORS = [
+  ['U', 'R', 'F'], ['U', 'F', 'L'], ['U', 'L', 'B'], ['U', 'B', 'R'],
+  ['D', 'F', 'R'], ['D', 'L', 'F'], ['D', 'B', 'L'], ['D', 'R', 'B'],
+];
+
+// Stickers of each edge slot UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR
+const EDGE_FACELETS = [
+  [U + 5, R + 1], [U + 7, F + 1], [U + 3, L + 1], [U + 1, B + 1],
+  [D + 5, R + 7], [D + 1, F + 7], [D + 3, L + 7], [D + 7, B + 7],
+  [F + 5, R + 3], [F + 3, L + 5], [B + 5, L + 3], [B + 3, R + 5],
+];
+const EDGE_COLORS = [
+  ['U', 'R'], ['U', 'F'], ['U', 'L'], ['U', 'B'],
+  ['D', 'R'], ['D', 'F'], ['D', 'L'], ['D', 'B'],
+  ['F', 'R'], ['F', 'L'], ['B', 'L'], ['B', 'R'],
+];
+
+// The six quarter turns as cubie permutations ("replaced by") and orientation changes
+const BASIC_MOVES = {
+  U: { cp: [3, 0, 1, 2, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  R: { cp: [4, 1, 2, 0, 7, 5, 6, 3], co: [2, 0, 0, 1, 1, 0, 0, 2],
+    ep: [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  F: { cp: [1, 5, 2, 3, 0, 4, 6, 7], co: [1, 2, 0, 0, 2, 1, 0, 0],
+    ep: [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], eo: [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0] },
+  D: { cp: [0, 1, 2, 3, 5, 6, 7, 4], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  L: { cp: [0, 2, 6, 3, 4, 1, 5, 7], co: [0, 1, 2, 0, 0, 2, 1, 0],
+    ep: [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  B: { cp: [0, 1, 3, 7, 4, 5, 2, 6], co: [0, 0, 1, 2, 0, 0, 2, 1],
+    ep: [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], eo: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1] },
+};
+
+const N_MOVES = 18; // 6 faces x (quarter, half, counter-quarter), index = face * 3 + power - 1
+const PHASE2_MOVES = [0, 1, 2, 9, 10, 11, 4, 13, 7, 16]; // U U2 U' D D2 D' R2 L2 F2 B2
+
+const N_TWIST = 2187;  // 3^7 corner orientations
+const N_FLIP = 2048;   // 2^11 edge orientations
+const N_SLICE = 495;   // 12 choose 4 positions of the middle-layer edges
+const N_PERM_8 = 40320; // 8! corner or U/D-edge permutations
+const N_SLICE_PERM = 24; // 4! middle-layer edge permutations
+
+// ---- Cubie level ----
+
+function solvedCubie() {
+  return {
+    cp: [0, 1, 2, 3, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  };
+}
+
+// a * b: apply move (or cube) b after a
+function multiply(a, b) {
+  return {
+    cp: b.cp.map(p => a.cp[p]),
+    co: b.cp.map((p, i) => (a.co[p] + b.co[i]) % 3),
+    ep: b.ep.map(p => a.ep[p]),
+    eo: b.ep.map((p, i) => (a.eo[p] + b.eo[i]) % 2),
+  };
+}
+
+// Cubie cubes for all 18 moves
+const MOVE_CUBES = [];
+for (const face of FACE_ORDER) {
+  let cube = solvedCubie();
+  for (let power = 1; power <= 3; power++) {
+    cube = multiply(cube, BASIC_MOVES[face]);
+    MOVE_CUBES.push(cube);
+  }
+}
+
+// ---- Coordinates ----
+
+function binomial(n, k) {
+  if (k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+  return Math.round(result);
+}
+
+// Lehmer rank of a permutation of 0..n-1 (solved = 0)
+function permRank(perm) {
+  let rank = 0;
+  for (let i = 0; i < perm.length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < perm.length; j++) {
+      if (perm[j] < perm[i]) smaller++;
+    }
+    rank = rank * (perm.length - i) + smaller;
+  }
+  return rank;
+}
+
+function getTwist(c) {
+  let twist = 0;
+  for (let i = 0; i < 7; i++) twist = twist * 3 + c.co[i];
+  return twist;
+}
+
+function getFlip(c) {
+  let flip = 0;
+  for (let i = 0; i < 11; i++) flip = flip * 2 + c.eo[i];
+  return flip;
+}
+
+// Which 4 slots hold the middle-layer edges FR, FL, BL, BR (solved = 0)
+function getSlice(c) {
+  let slice = 0;
+  let found = 0;
+  for (let j = 11; j >= 0; j--) {
+    if (c.ep[j] >= 8) {
+      slice += binomial(11 - j, found + 1);
+      found++;
+    }
+  }
+  return slice;
+}
+
+const getCornerPerm = c => permRank(c.cp);
+const getEdgePerm = c => permRank(c.ep.slice(0, 8)); // Only meaningful in phase 2
+const getSlicePerm = c => permRank(c.ep.slice(8).map(e => e - 8)); // Only meaningful in phase 2
+
+// ---- Tables (built lazily, once) ----
+
+let tables = null;
+
+// Move table for a coordinate: explores it from the solved cube, keeping one
+// cube per coordinate value, and records where each move takes it
+function buildMoveTable(size, getCoord, moves) {
+  const table = new Int32Array(size * N_MOVES).fill(-1);
+  const reps = new Array(size);
+  const start = getCoord(solvedCubie());
+  reps[start] = solvedCubie();
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const coord = queue[head];
+    for (const m of moves) {
+      const next = multiply(reps[coord], MOVE_CUBES[m]);
+      const nextCoord = getCoord(next);
+      table[coord * N_MOVES + m] = nextCoord;
+      if (reps[nextCoord] === undefined) {
+        reps[nextCoord] = next;
+        queue.push(nextCoord);
+      }
+    }
+  }
+  return table;
+}
+
+// Distance-to-solved table for a pair of coordinates, by breadth-first search
+function buildPruningTable(sizeA, moveA, sizeB, moveB, moves) {
+  const table = new Int8Array(sizeA * sizeB).fill(-1);
+  const queue = new Int32Array(sizeA * sizeB);
+  table[0] = 0;
+  let tail = 1;
+
+  for (let head = 0; head < tail; head++) {
+    const index = queue[head];
+    const a = Math.floor(index / sizeB);
+    const b = index % sizeB;
+    for (const m of moves) {
+      const next = moveA[a * N_MOVES + m] * sizeB + moveB[b * N_MOVES + m];
+      if (table[next] === -1) {
+        table[next] = table[index] + 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+  return table;
+}
+
+// Build the move and pruning tables. Called automatically by solve(); call it
+// ahead of time (e.g. when the page is idle) to keep the first solve snappy.
+export function initSolver() {
+  if (tables) return;
+
+  const allMoves = Array.from({ length: N_MOVES }, (_, i) => i);
+  const twistMove = buildMoveTable(N_TWIST, getTwist, allMoves);
+  const flipMove = buildMoveTable(N_FLIP, getFlip, allMoves);
+  const sliceMove = buildMoveTable(N_SLICE, getSlice, allMoves);
+  const cornerPermMove = buildMoveTable(N_PERM_8, getCornerPerm, PHASE2_MOVES);
+  const edgePermMove = buildMoveTable(N_PERM_8, getEdgePerm, PHASE2_MOVES);
+  const slicePermMove = buildMoveTable(N_SLICE_PERM, getSlicePerm, PHASE2_MOVES);
+
+  tables = {
+    twistMove,
+    flipMove,
+    sliceMove,
+    cornerPermMove,
+    edgePermMove,
+    slicePermMove,
+    twistSlicePrune: buildPruningTable(N_TWIST, twistMove, N_SLICE, sliceMove, allMoves),
+    flipSlicePrune: buildPruningTable(N_FLIP, flipMove, N_SLICE, sliceMove, allMoves),
+    cornerSlicePrune: buildPruningTable(N_PERM_8, cornerPermMove, N_SLICE_PERM, slicePermMove, PHASE2_MOVES),
+    edgeSlicePrune: buildPruningTable(N_PERM_8, edgePermMove, N_SLICE_PERM, slicePermMove, PHASE2_MOVES),
+  };
+}
+
+// ---- Facelets <-> cubies ----
+
+// 54-letter facelet string (U1..U9 R1..R9 F.. D.. L.. B..) for a 3x3 cube state.
+// Colors are named after the face whose center they match, so whole-cube
+// rotations and slice moves are handled naturally.
+export function stateToFacelets(state) {
+  if (state.size !== 3) {
+    throw new RangeError(`The solver only handles 3x3 cubes, not ${state.size}x${state.size}`);
+  }
+
+  const faces = state.facelets();
+  const colorToFace = {};
+  for (const face of FACE_ORDER) {
+    colorToFace[faces[SCENE_FACE[face]][4]] = face;
+  }
+
+  return FACE_ORDER
+    .map(face => faces[SCENE_FACE[face]].map(color => colorToFace[color]).join(''))
+    .join('');
+}
+
+// Cubie description of a facelet string, or throws if the stickers don't form a real cube
+export function faceletsToCubie(facelets) {
+  if (typeof facelets !== 'string' || !/^[URFDLB]{54}$/.test(facelets)) {
+    throw new Error('Facelets must be 54 letters from U, R, F, D, L, B');
+  }
+  for (const face of FACE_ORDER) {
+    if (facelets.split(face).length - 1 !== 9) throw new Error(`Expected 9 ${face} stickers`);
+  }
+  FACE_ORDER.forEach((face, i) => {
+    if (facelets[i * 9 + 4] !== face) throw new Error(`Center of the ${face} face is not ${face}`);
+  });
+
+  const cube = solvedCubie();
+
+  CORNER_FACELETS.forEach((slot, i) => {
+    // Orientation: where the U/D sticker sits
+    const ori = slot.findIndex(f => facelets[f] === 'U' || facelets[f] === 'D');
+    const col1 = facelets[slot[(ori + 1) % 3]];
+    const col2 = facelets[slot[(ori + 2) % 3]];
+    const piece = CORNER_COLORS.findIndex(c => c[1] === col1 && c[2] === col2);
+    if (ori === -1 || piece === -1) throw new Error(`Corner ${i} has an impossible color combination`);
+    cube.cp[i] = piece;
+    cube.co[i] = ori;
+  });
+
+  EDGE_FACELETS.forEach((slot, i) => {
+    const a = facelets[slot[0]];
+    const b = facelets[slot[1]];
+    const straight = EDGE_COLORS.findIndex(c => c[0] === a && c[1] === b);
+    const flipped = EDGE_COLORS.findIndex(c => c[0] === b && c[1] === a);
+    if (straight === -1 && flipped === -1) throw new Error(`Edge ${i} has an impossible color combination`);
+    cube.ep[i] = straight !== -1 ? straight : flipped;
+    cube.eo[i] = straight !== -1 ? 0 : 1;
+  });
+
+  const problem = cubieProblem(cube);
+  if (problem) throw new Error(problem);
+  return cube;
+}
+
+function parity(perm) {
+  let p = 0;
+  for (let i = 0; i < perm.length; i++) {
+    for (let j = i + 1; j < perm.length; j++) {
+      if (perm[j] < perm[i]) p ^= 1;
+    }
+  }
+  return p;
+}
+
+// Why a cubie description can't be reached by turning a real cube, or null if it can
+function cubieProblem(c) {
+  if (new Set(c.cp).size !== 8) return 'A corner appears twice';
+  if (new Set(c.ep).size !== 12) return 'An edge appears twice';
+  if (c.co.reduce((sum, o) => sum + o, 0) % 3 !== 0) return 'A corner is twisted';
+  if (c.eo.reduce((sum, o) => sum + o, 0) % 2 !== 0) return 'An edge is flipped';
+  if (parity(c.cp) !== parity(c.ep)) return 'Two pieces are swapped';
+  return null;
+}
+
+// True when a facelet string describes a cube that can be reached by turning
+export function isSolvableFacelets(facelets) {
+  try {
+    faceletsToCubie(facelets);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ---- Search ----
+
+function toMove(m) {
+  const power = (m % 3) + 1;
+  return { type: 'face', face: FACE_ORDER[Math.floor(m / 3)], depth: 1, amount: power === 3 ? -1 : power };
+}
+
+// Skip moves on the same face as the last one, and opposite faces in only one order
+function isRedundant(m, last) {
+  if (last === -1) return false;
+  const face = Math.floor(m / 3);
+  const lastFace = Math.floor(last / 3);
+  return face === lastFace || (face === lastFace - 3);
+}
+
+function solveCubie(cube, maxLength) {
+  initSolver();
+  const t = tables;
+  const phase1 = [];
+  const phase2 = [];
+
+  function phase2Search(corner, edge, slice, togo, last) {
+    if (togo === 0) return corner === 0 && edge === 0 && slice === 0;
+
+    for (const m of PHASE2_MOVES) {
+      if (isRedundant(m, last)) continue;
+      const c = t.cornerPermMove[corner * N_MOVES + m];
+      const e = t.edgePermMove[edge * N_MOVES + m];
+      const s = t.slicePermMove[slice * N_MOVES + m];
+      const distance = Math.max(
+        t.cornerSlicePrune[c * N_SLICE_PERM + s],
+        t.edgeSlicePrune[e * N_SLICE_PERM + s]
+      );
+      if (distance >= togo) continue;
+
+      phase2.push(m);
+      if (phase2Search(c, e, s, togo - 1, m)) return true;
+      phase2.pop();
+    }
+    return false;
+  }
+
+  // Phase 1 reached the subgroup: set up phase 2 from the real cube
+  function startPhase2(maxPhase2) {
+    let c = cube;
+    for (const m of phase1) c = multiply(c, MOVE_CUBES[m]);
+    const corner = getCornerPerm(c);
+    const edge = getEdgePerm(c);
+    const slice = getSlicePerm(c);
+    const last = phase1.length > 0 ? phase1[phase1.length - 1] : -1;
+
+    for (let depth = 0; depth <= maxPhase2; depth++) {
+      phase2.length = 0;
+      if (phase2Search(corner, edge, slice, depth, last)) return true;
+    }
+    return false;
+  }
+
+  function phase1Search(twist, flip, slice, togo, last) {
+    if (togo === 0) {
+      // Ending on a phase 2 move means a shorter phase 1 already covered this
+      if (last !== -1 && PHASE2_MOVES.includes(last) && phase1.length > 0) return false;
+      return twist === 0 && flip === 0 && slice === 0 && startPhase2(maxLength - phase1.length);
+    }
+
+    for (let m = 0; m < N_MOVES; m++) {
+      if (isRedundant(m, last)) continue;
+      const tw = t.twistMove[twist * N_MOVES + m];
+      const fl = t.flipMove[flip * N_MOVES + m];
+      const sl = t.sliceMove[slice * N_MOVES + m];
+      const distance = Math.max(
+        t.twistSlicePrune[tw * N_SLICE + sl],
+        t.flipSlicePrune[fl * N_SLICE + sl]
+      );
+      if (distance >= togo) continue;
+
+      phase1.push(m);
+      if (phase1Search(tw, fl, sl, togo - 1, m)) return true;
+      phase1.pop();
+    }
+    return false;
+  }
+
+  const twist = getTwist(cube);
+  const flip = getFlip(cube);
+  const slice = getSlice(cube);
+
+  for (let depth = 0; depth <= maxLength; depth++) {
+    phase1.length = 0;
+    if (phase1Search(twist, flip, slice, depth, -1)) {
+      return [...phase1, ...phase2].map(toMove);
+    }
+  }
+  throw new Error(`No solution within ${maxLength} moves`);
+}
+
+// Solve a 3x3 cube state. Returns moves in standard notation (face turns only),
+// relative to the cube's current orientation; [] if it is already solved.
+export function solve(state, { maxLength = 25 } = {}) {
+  return solveCubie(faceletsToCubie(stateToFacelets(state)), maxLength);
+}
+
+// Same as solve(), but takes a 54-letter facelet string and returns a string
+export function solveFacelets(facelets, { maxLength = 25 } = {}) {
+  return solveCubie(faceletsToCubie(facelets), maxLength).map(formatMove).join(' ');
+}
+
+// Uniformly random reachable cube, from a random() source returning [0, 1)
+function randomCubie(random) {
+  const shuffled = (n) => {
+    const items = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  };
+  const randomOrientations = (n, mod) => {
+    const values = Array.from({ length: n - 1 }, () => Math.floor(random() * mod));
+    const sum = values.reduce((total, v) => total + v, 0);
+    return [...values, (mod - (sum % mod)) % mod];
+  };
+
+  const cube = {
+    cp: shuffled(8),
+    co: randomOrientations(8, 3),
+    ep: shuffled(12),
+    eo: randomOrientations(12, 2),
+  };
+
+  // Corner and edge permutations must share a parity - swapping two edges fixes it
+  if (parity(cube.cp) !== parity(cube.ep)) {
+    [cube.ep[0], cube.ep[1]] = [cube.ep[1], cube.ep[0]];
+  }
+  return cube;
+}
+
+// Solution for a uniformly random reachable state. Inverted, it is a random-state scramble.
+export function solveRandomState(random, { maxLength = 25 } = {}) {
+  return solveCubie(randomCubie(random), maxLength);
+}
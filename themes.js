@@ -0,0 +1,287 @@
+// ============================================
+// THEMES - Everything that makes each face look like itself, in one place
+// ============================================
+// A theme pack has one entry per face, in scene order (+X, -X, +Y, -Y, +Z, -Z):
+//
+//   {
+//     name: 'Why?',            // Nav and screen readers
+//     label: 'WHY?',           // Drawn on the cube
+//     icon: '✦',               // Drawn with the summary face skin
+//     stickerColor: 0x0000ff,  // Sticker dots and face skin tint
+//     accentColor: '#0000ff',  // --why-color
+//     background: '...',       // --why-bg and the page behind the cube (color or gradient)
+//     material: { ... },       // MeshPhysicalMaterial settings for every cubie
+//     lighting: { environment: 'night', bloom: { strength, cube } },
+//     effects: ['stars', 'meteors'],
+//   }
+//
+// plus defaults (material, background, lighting, effects) for when no face is
+// selected. A pack can extend a registered one and only list what changes:
+//
+//   themes.register({ name: 'mono', extends: 'default', faces: { 4: { stickerColor: 0x000000 } } });
+//   themes.use('mono');
+
+export const FACE_COUNT = 6;
+
+export const DEFAULT_THEME_PACK = {
+  name: 'default',
+  defaults: {
+    background: '#f0f0f0',
+    material: {
+      color: 0xffffff,
+      opacity: 0.3, // Increased from 0.15 to make visible at launch
+      transparent: true,
+      roughness: 0.1,
+      metalness: 0.1,
+      clearcoat: 0.3,
+      transmission: 0.0,
+      emissive: 0x000000,
+      emissiveIntensity: 0,
+      iridescence: 0,
+      iridescenceIOR: 1.3,
+    },
+    lighting: { environment: 'studio', bloom: { strength: 0 } },
+    effects: [],
+  },
+  faces: [
+    {
+      name: 'Why?',
+      label: 'WHY?',
+      icon: '✦',
+      stickerColor: 0x0000ff, // Blue
+      accentColor: '#0000ff',
+      background: 'linear-gradient(180deg, #0a1128 0%, #001f54 50%, #034078 100%)', // Night sky - deep navy to rich blue
+      material: { // Deep Blue Glass
+        color: 0x4444ff,
+        opacity: 0.5,
+        transparent: true,
+        roughness: 0.0,
+        metalness: 0.0,
+        clearcoat: 1.0,
+        transmission: 0.0,
+      },
+      lighting: { environment: 'night', bloom: { strength: 1.2 } }, // Stars and meteors glow
+      effects: ['stars', 'meteors'],
+    },
+    {
+      name: 'What?',
+      label: 'WHAT?',
+      icon: '◆',
+      stickerColor: 0x87ceeb, // Light blue
+      accentColor: '#87ceeb',
+      background: '#87ceeb',
+      material: { // Almost Invisible
+        color: 0xffffff,
+        opacity: 0.05,
+        transparent: true,
+        roughness: 0.0,
+        metalness: 0.0,
+        clearcoat: 0.3,
+        transmission: 0.0,
+      },
+      lighting: { environment: 'studio', bloom: { strength: 0 } },
+      effects: [],
+    },
+    {
+      name: 'How?',
+      label: 'HOW?',
+      icon: '⚙',
+      stickerColor: 0xff0000, // Red
+      accentColor: '#ff0000',
+      background: '#ff0000',
+      material: { // Red Chrome Metal
+        color: 0xff2222,
+        opacity: 0.9,
+        transparent: true,
+        roughness: 0.1,
+        metalness: 1.0,
+        clearcoat: 1.0,
+        transmission: 0.0,
+        emissive: 0x000000,
+        emissiveIntensity: 0.0,
+      },
+      lighting: { environment: 'studio', bloom: { strength: 0.4, cube: true } }, // Chrome highlights
+      effects: [],
+    },
+    {
+      name: 'Where?',
+      label: 'WHERE?',
+      icon: '⌖',
+      stickerColor: 0xff8c00, // Orange
+      accentColor: '#ff8c00',
+      background: '#ff8c00',
+      material: { // Solid Orange Matte
+        color: 0xff8800,
+        opacity: 1.0,
+        transparent: false,
+        roughness: 1.0,
+        metalness: 0.0,
+        clearcoat: 0.0,
+        transmission: 0.0,
+      },
+      lighting: { environment: 'room', bloom: { strength: 0 } }, // Matte - a soft even room is enough
+      effects: [],
+    },
+    {
+      name: 'When?',
+      label: 'WHEN?',
+      icon: '◷',
+      stickerColor: 0xffcc00, // Yellow-orange
+      accentColor: '#ffcc00',
+      background: '#ffcc00',
+      material: { // Bright Glowing Yellow
+        color: 0xffff00,
+        opacity: 1.0,
+        transparent: false,
+        roughness: 0.2,
+        metalness: 0.0,
+        clearcoat: 0.5,
+        transmission: 0.0,
+        emissive: 0xffaa00,
+        emissiveIntensity: 0.5,
+      },
+      lighting: { environment: 'studio', bloom: { strength: 0.8, cube: true } }, // The cube itself glows
+      effects: [],
+    },
+    {
+      name: 'Who?',
+      label: 'WHO?',
+      icon: '☺',
+      stickerColor: 0xffffff, // White
+      accentColor: '#ffffff',
+      background: '#ffffff',
+      material: { // Grey Metal
+        color: 0x888888,
+        opacity: 1.0,
+        transparent: false,
+        roughness: 0.5,
+        metalness: 1.0,
+        clearcoat: 0.3,
+        transmission: 0.0,
+        emissive: 0x000000,
+        emissiveIntensity: 0.0,
+      },
+      lighting: { environment: 'studio', bloom: { strength: 0 } },
+      effects: [],
+    },
+  ],
+};
+
+// Check a resolved pack has everything the scene reads. Throws a TypeError
+// naming the first missing or wrong field.
+export function validateThemePack(pack) {
+  const fail = (path, problem) => {
+    throw new TypeError(`Theme pack "${pack?.name}": ${path} ${problem}`);
+  };
+  const checkLook = (look, path) => {
+    if (typeof look.background !== 'string') fail(`${path}.background`, 'must be a CSS color or gradient');
+    if (!look.material || typeof look.material.color !== 'number') fail(`${path}.material.color`, 'must be a number');
+    if (typeof look.lighting?.environment !== 'string') fail(`${path}.lighting.environment`, 'must be an environment name');
+    if (typeof look.lighting?.bloom?.strength !== 'number') fail(`${path}.lighting.bloom.strength`, 'must be a number');
+    if (!Array.isArray(look.effects)) fail(`${path}.effects`, 'must be an array');
+  };
+
+  if (!pack || typeof pack.name !== 'string' || pack.name === '') fail('name', 'is required');
+  if (!Array.isArray(pack.faces) || pack.faces.length !== FACE_COUNT) fail('faces', `must list ${FACE_COUNT} faces`);
+  checkLook(pack.defaults ?? {}, 'defaults');
+
+  pack.faces.forEach((face, i) => {
+    const path = `faces[${i}]`;
+    for (const field of ['name', 'label', 'accentColor']) {
+      if (typeof face[field] !== 'string' || face[field] === '') fail(`${path}.${field}`, 'must be a non-empty string');
+    }
+    if (typeof face.stickerColor !== 'number') fail(`${path}.stickerColor`, 'must be a number');
+    checkLook(face, path);
+  });
+  return pack;
+}
+
+// Layer a partial face (or defaults) over a full one; material and lighting merge one level deeper
+function mergeLook(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    material: { ...base.material, ...overrides.material },
+    lighting: {
+      ...base.lighting,
+      ...overrides.lighting,
+      bloom: { ...base.lighting?.bloom, ...overrides.lighting?.bloom },
+    },
+  };
+}
+
+// Unsubscribing twice must not take someone else's listener with it
+function removeListener(list, listener) {
+  const i = list.indexOf(listener);
+  if (i !== -1) list.splice(i, 1);
+}
+
+export function createThemeRegistry(packs = [DEFAULT_THEME_PACK]) {
+  const registered = new Map();
+  const listeners = [];
+  const registerListeners = [];
+  let current = null;
+
+  // Fill in a pack that extends another from its base
+  function resolve(pack) {
+    if (!pack.extends) return pack;
+
+    const base = registered.get(pack.extends);
+    if (!base) throw new RangeError(`Theme pack "${pack.name}" extends unknown pack "${pack.extends}"`);
+
+    // faces can be a full array or an object of just the faces that change ({ 4: {...} })
+    const overrides = pack.faces || {};
+    return {
+      name: pack.name,
+      defaults: mergeLook(base.defaults, pack.defaults),
+      faces: base.faces.map((face, i) => mergeLook(face, overrides[i])),
+    };
+  }
+
+  const registry = {
+    get current() {
+      return current;
+    },
+
+    // Theme for one face, or the defaults when faceIndex is -1
+    face(faceIndex) {
+      return faceIndex >= 0 ? current.faces[faceIndex] : { ...current.defaults, name: '', label: '' };
+    },
+
+    list() {
+      return [...registered.keys()];
+    },
+
+    register(pack) {
+      const resolved = validateThemePack(resolve(pack));
+      registered.set(resolved.name, resolved);
+      // Re-registering the pack in use takes effect straight away
+      if (current?.name === resolved.name) registry.use(resolved.name);
+      registerListeners.forEach(listener => listener(resolved));
+      return registry;
+    },
+
+    // Swap to a registered pack; listeners restyle the page and the cube
+    use(name) {
+      const pack = registered.get(name);
+      if (!pack) throw new RangeError(`Unknown theme pack "${name}"`);
+      current = pack;
+      listeners.forEach(listener => listener(pack));
+      return registry;
+    },
+
+    onChange(listener) {
+      listeners.push(listener);
+      return () => removeListener(listeners, listener);
+    },
+
+    onRegister(listener) {
+      registerListeners.push(listener);
+      return () => removeListener(registerListeners, listener);
+    },
+  };
+
+  packs.forEach(pack => registry.register(pack));
+  current = registered.get(packs[0].name);
+  return registry;
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createThemeRegistry } from './themes.js';
+
+test('unsubscribing twice leaves other listeners alone', () => {
+  const themes = createThemeRegistry();
+  const calls = [];
+  const off = themes.onChange(() => calls.push('first'));
+  themes.onChange(() => calls.push('second'));
+
+  off();
+  off();
+  themes.use('default');
+  assert.deepEqual(calls, ['second']);
+});
+
+test('register listeners hear new packs and can unsubscribe', () => {
+  const themes = createThemeRegistry();
+  const names = [];
+  const off = themes.onRegister(pack => names.push(pack.name));
+  themes.onRegister(() => names.push('other'));
+
+  themes.register({ name: 'mono', extends: 'default' });
+  off();
+  off();
+  themes.register({ name: 'mono2', extends: 'default' });
+  assert.deepEqual(names, ['mono', 'other', 'other']);
+});
@@ -0,0 +1,173 @@
+// ============================================
+// TIMER - Speedcubing timer with WCA inspection, penalties and averages
+// ============================================
+// The timer doesn't watch the cube itself: the scene tells it when inspection
+// starts (after a scramble), when the first turn happens and when the cube is
+// solved. Times are in milliseconds; a DNF result is Infinity.
+//
+// Sessions are saved to localStorage when it is available.
+
+export const INSPECTION_TIME = 15000;
+export const INSPECTION_LIMIT = 17000; // Starting after this is a DNF, between 15s and 17s is +2
+
+const STORAGE_KEY = 'cube-site-timer';
+
+// 12.34 or 1:02.34 (centiseconds, truncated like a stackmat)
+export function formatTime(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms === Infinity) return 'DNF';
+
+  const centis = Math.floor(ms / 10);
+  const minutes = Math.floor(centis / 6000);
+  const seconds = Math.floor(centis / 100) % 60;
+  const fraction = String(centis % 100).padStart(2, '0');
+  return minutes > 0
+    ? `${minutes}:${String(seconds).padStart(2, '0')}.${fraction}`
+    : `${seconds}.${fraction}`;
+}
+
+// Penalty for starting the solve after a given inspection time
+export function inspectionPenalty(elapsed) {
+  if (elapsed > INSPECTION_LIMIT) return 'DNF';
+  if (elapsed > INSPECTION_TIME) return '+2';
+  return null;
+}
+
+// Result of a solve with its penalty applied
+export function solveResult(solve) {
+  if (solve.penalty === 'DNF') return Infinity;
+  return solve.time + (solve.penalty === '+2' ? 2000 : 0);
+}
+
+// WCA average of the last n solves: drop the best and worst, mean the rest.
+// One DNF counts as the worst; two or more make the average a DNF.
+// Null until there are n solves.
+export function averageOf(solves, n) {
+  if (solves.length < n) return null;
+
+  const results = solves.slice(-n).map(solveResult).sort((a, b) => a - b);
+  const trimmed = results.slice(1, -1);
+  if (trimmed.includes(Infinity)) return Infinity;
+  return trimmed.reduce((sum, r) => sum + r, 0) / trimmed.length;
+}
+
+export function bestOf(solves) {
+  if (solves.length === 0) return null;
+  return Math.min(...solves.map(solveResult));
+}
+
+export function createTimer({
+  now = () => performance.now(),
+  storage = globalThis.localStorage,
+  storageKey = STORAGE_KEY,
+} = {}) {
+  let sessions = load();
+  let attempt = null; // { scramble, inspectionStart, start, penalty }
+
+  function load() {
+    try {
+      const saved = JSON.parse(storage?.getItem(storageKey));
+      if (Array.isArray(saved) && saved.length > 0) return saved;
+    } catch {
+      // Corrupt or unavailable storage - start over
+    }
+    return [{ started: Date.now(), solves: [] }];
+  }
+
+  function save() {
+    try {
+      storage?.setItem(storageKey, JSON.stringify(sessions));
+    } catch {
+      // Private mode or quota - keep going without persistence
+    }
+  }
+
+  const currentSession = () => sessions[sessions.length - 1];
+
+  function record(time, penalty) {
+    const solve = { time, penalty, scramble: attempt.scramble, date: Date.now() };
+    currentSession().solves.push(solve);
+    attempt = null;
+    save();
+    return solve;
+  }
+
+  const timer = {
+    // 'idle', 'inspecting' or 'running'
+    get state() {
+      if (!attempt) return 'idle';
+      return attempt.start === null ? 'inspecting' : 'running';
+    },
+
+    get solves() {
+      return currentSession().solves;
+    },
+
+    get sessions() {
+      return sessions;
+    },
+
+    // Time shown on the clock: inspection time used, or solve time so far
+    elapsed() {
+      if (!attempt) return 0;
+      return now() - (attempt.start === null ? attempt.inspectionStart : attempt.start);
+    },
+
+    // A scramble has finished playing - inspection begins
+    startInspection(scramble = '') {
+      attempt = { scramble, inspectionStart: now(), start: null, penalty: null };
+    },
+
+    // First turn after inspection starts the clock (with any late-start penalty)
+    startSolve() {
+      if (timer.state !== 'inspecting') return false;
+      attempt.penalty = inspectionPenalty(now() - attempt.inspectionStart);
+      attempt.start = now();
+      return true;
+    },
+
+    // The cube is solved - stop the clock and record the solve
+    stop() {
+      if (timer.state !== 'running') return null;
+      return record(now() - attempt.start, attempt.penalty);
+    },
+
+    // Inspection ran past the limit without a turn
+    expireInspection() {
+      if (timer.state !== 'inspecting') return null;
+      return record(0, 'DNF');
+    },
+
+    // Abandon the current attempt without recording it
+    cancel() {
+      attempt = null;
+    },
+
+    // Toggle a penalty ('+2' or 'DNF') on the most recent solve
+    setPenalty(penalty) {
+      const solves = currentSession().solves;
+      if (solves.length === 0) return;
+      const last = solves[solves.length - 1];
+      last.penalty = last.penalty === penalty ? null : penalty;
+      save();
+    },
+
+    stats() {
+      const solves = currentSession().solves;
+      return {
+        count: solves.length,
+        best: bestOf(solves),
+        ao5: averageOf(solves, 5),
+        ao12: averageOf(solves, 12),
+      };
+    },
+
+    newSession() {
+      attempt = null;
+      sessions.push({ started: Date.now(), solves: [] });
+      save();
+    },
+  };
+
+  return timer;
+}
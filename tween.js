@@ -0,0 +1,68 @@
+// ============================================
+// TWEEN - Keyed tweens stepped from the render loop
+// ============================================
+// A tween calls update(t) with eased progress from 0 to 1 over its duration.
+// Tweens are keyed: starting one with a key that is already running replaces
+// it, so a quick second face change retargets instead of fighting the first.
+
+export const easings = {
+  linear: t => t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function createTweens({ now = () => performance.now() } = {}) {
+  const active = new Map();
+
+  function finish(key, tween, completed) {
+    if (active.get(key) === tween) active.delete(key);
+    tween.resolve(completed);
+  }
+
+  const tweens = {
+    get size() {
+      return active.size;
+    },
+
+    // Resolves true when the tween completes, false if it was replaced or cancelled.
+    // A zero duration applies the end state straight away.
+    start(key, { duration, easing = easings.easeInOutCubic, update, complete = () => {} }) {
+      tweens.cancel(key);
+
+      return new Promise((resolve) => {
+        const tween = { start: now(), duration, easing, update, complete, resolve };
+        if (!(duration > 0)) {
+          update(1);
+          complete();
+          resolve(true);
+          return;
+        }
+        active.set(key, tween);
+        update(0);
+      });
+    },
+
+    cancel(key) {
+      const tween = active.get(key);
+      if (tween) finish(key, tween, false);
+    },
+
+    // Advance every tween - call once per frame
+    update(time = now()) {
+      for (const [key, tween] of [...active]) {
+        const progress = Math.min((time - tween.start) / tween.duration, 1);
+        tween.update(tween.easing(progress));
+        if (progress === 1) {
+          tween.complete();
+          finish(key, tween, true);
+        }
+      }
+    },
+  };
+
+  return tweens;
+}